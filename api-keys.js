@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+const hash = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Loads API keys from a JSON or YAML file holding either a list of keys or
+// { keys: [...] }. Each key looks like
+//   { name, key | sha256, formats, maxDiagramSize, requestsPerMinute, dailyQuota }
+// where every limit is optional. Without a file, the single `key` is used,
+// with no limits.
+const loadKeys = ({ file, key }) => {
+  if (file) {
+    const text = fs.readFileSync(file, 'utf-8');
+    const data = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+    const list = Array.isArray(data) ? data : (data && data.keys) || [];
+    return list.map((entry, i) => {
+      if (!entry.key && !entry.sha256) {
+        throw new Error(`${path.basename(file)}: key #${i + 1} has neither "key" nor "sha256"`);
+      }
+      return {
+        name: entry.name || `key-${i + 1}`,
+        sha256: entry.sha256 ? String(entry.sha256).toLowerCase() : hash(entry.key),
+        formats: entry.formats || null,
+        maxDiagramSize: entry.maxDiagramSize || null,
+        requestsPerMinute: entry.requestsPerMinute || null,
+        dailyQuota: entry.dailyQuota || null,
+      };
+    });
+  }
+  if (key) {
+    return [{
+      name: 'default',
+      sha256: hash(key),
+      formats: null,
+      maxDiagramSize: null,
+      requestsPerMinute: null,
+      dailyQuota: null,
+    }];
+  }
+  return [];
+};
+
+// Keys are looked up by their SHA-256 hash, so the plain keys are not kept
+// once loaded.
+const createKeyStore = (options) => {
+  const keys = loadKeys(options);
+  const byHash = new Map(keys.map((entry) => [entry.sha256, entry]));
+
+  return {
+    size: keys.length,
+    authenticate: (key) => byHash.get(hash(key)) || null,
+  };
+};
+
+// Fixed-window counters per key name: one per minute for requestsPerMinute
+// and one per UTC day for dailyQuota. hit() returns { ok: true } or
+// { ok: false, reason, retryAfter } with retryAfter in seconds.
+const createRateLimiter = () => {
+  const minutes = new Map();
+  const days = new Map();
+
+  const count = (counters, name, window, now) => {
+    const start = Math.floor(now / window) * window;
+    let counter = counters.get(name);
+    if (!counter || counter.start !== start) {
+      counter = { start, count: 0 };
+      counters.set(name, counter);
+    }
+    return counter;
+  };
+
+  const hit = (entry, { quota = true } = {}) => {
+    const now = Date.now();
+    const minute = 60 * 1000;
+    const day = 24 * 60 * minute;
+
+    const perMinute = entry.requestsPerMinute && count(minutes, entry.name, minute, now);
+    if (perMinute && perMinute.count >= entry.requestsPerMinute) {
+      return {
+        ok: false,
+        reason: `Rate limit of ${entry.requestsPerMinute} requests per minute exceeded`,
+        retryAfter: Math.ceil((perMinute.start + minute - now) / 1000),
+      };
+    }
+
+    const daily = quota && entry.dailyQuota && count(days, entry.name, day, now);
+    if (daily && daily.count >= entry.dailyQuota) {
+      return {
+        ok: false,
+        reason: `Daily quota of ${entry.dailyQuota} exports exceeded`,
+        retryAfter: Math.ceil((daily.start + day - now) / 1000),
+      };
+    }
+
+    if (perMinute) {
+      perMinute.count++;
+    }
+    if (daily) {
+      daily.count++;
+    }
+    return { ok: true };
+  };
+
+  return { hit };
+};
+
+module.exports = {
+  createKeyStore,
+  createRateLimiter,
+};
@@ -1,19 +1,121 @@
 /* eslint-disable no-console */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const JSZip = require('jszip');
+const multer = require('multer');
 const exportDiagram = require('./export-core');
+const createJobQueue = require('./job-queue');
+const { createMemoryStore, createFileStore } = require('./job-store');
+const { createKeyStore, createRateLimiter } = require('./api-keys');
+const { extractDiagram } = require('./diagram-file');
+const { parseDiagram } = require('./diagram-xml');
+const inspect = require('./inspect');
+const metrics = require('./metrics');
+const createLogger = require('./logger');
 
 require('dotenv').config();
 
 const app = express();
-const API_KEY = process.env.API_KEY || '11223344zzz';
+const logger = createLogger();
+
+// API keys come from API_KEYS_FILE (JSON or YAML, with per-key limits) or,
+// failing that, from the single API_KEY
+const keys = createKeyStore({
+  file: process.env.API_KEYS_FILE,
+  key: process.env.API_KEY
+});
+const rateLimiter = createRateLimiter();
+
+if (!keys.size) {
+  logger.error('No API keys configured: set API_KEYS_FILE or API_KEY');
+  process.exit(1);
+}
+
+// Request ids: taken from the client's X-Request-Id when it is a sane token,
+// generated otherwise. The id is echoed in the response headers and in error
+// bodies, and bound to req.log so that every log line of the request has it.
+const requestIdPattern = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const given = req.get('X-Request-Id');
+  req.id = given && requestIdPattern.test(given) ? given : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.setHeader('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)
+    ? { ...body, requestId: req.id }
+    : body);
+
+  // One access log line per request; the query string is left out as it may hold the API key
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const fields = {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      bytes: +res.getHeader('Content-Length') || undefined,
+      keyName: req.apiKey ? req.apiKey.name : undefined
+    };
+    if (res.statusCode >= 500) {
+      req.log.error('Request failed', fields);
+    } else if (res.statusCode >= 400) {
+      req.log.warn('Request rejected', fields);
+    } else {
+      req.log.info('Request completed', fields);
+    }
+  });
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      req.log.warn('Client disconnected', { method: req.method, path: req.path });
+    }
+  });
+  next();
+});
+
+// Logs a failed operation: client errors as warnings, others with their stack
+const logFailure = (req, msg, error, fields = {}) => {
+  const status = error.status || 500;
+  req.log[status >= 500 ? 'error' : 'warn'](msg, { ...fields, err: error });
+};
 
 // Middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.text({ limit: '50mb', type: 'text/plain' }));
-app.use(cors());
+app.use(express.raw({
+  limit: '50mb',
+  type: ['application/xml', 'text/xml', 'image/png', 'image/svg+xml', 'application/pdf', 'application/octet-stream']
+}));
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+
+// Counts requests by route, format and status once the response is sent.
+// Unknown formats are counted as "other" to keep the label set small.
+const formatLabel = (format) => {
+  if (!format) {
+    return '';
+  }
+  try {
+    exportDiagram.parseFormat(format);
+    return String(format);
+  } catch (e) {
+    return 'other';
+  }
+};
+
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    metrics.requests.inc({
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      format: formatLabel((req.body && req.body.format) || req.query.format),
+      status: res.statusCode
+    });
+  });
+  next();
+});
 
 // Serve static files (HTML frontend)
 app.use(express.static(path.join(__dirname, 'public')));
@@ -29,16 +131,152 @@ const validateApiKey = (req, res, next) => {
     });
   }
   
-  if (apiKey !== API_KEY) {
+  const key = keys.authenticate(apiKey);
+
+  if (!key) {
     return res.status(403).json({ 
       error: 'Invalid API key',
       message: 'The provided API key is incorrect'
     });
   }
-  
+
+  // Every request counts towards the per-minute limit, only exports towards the daily quota
+  const limit = rateLimiter.hit(key, { quota: req.method === 'POST' && req.path !== '/api/inspect' });
+  if (!limit.ok) {
+    res.setHeader('Retry-After', limit.retryAfter);
+    return res.status(429).json({ 
+      error: 'Too many requests',
+      message: limit.reason,
+      retryAfter: limit.retryAfter
+    });
+  }
+
+  req.apiKey = key;
   next();
 };
 
+// Per-key diagram size limit, checked once the upload is read
+const checkKeySize = (req, res, next) => {
+  const key = req.apiKey;
+  const body = req.body || {};
+
+  if (key.maxDiagramSize && typeof body.xml === 'string' && Buffer.byteLength(body.xml) > key.maxDiagramSize) {
+    return res.status(413).json({ 
+      error: 'Diagram too large',
+      message: `This API key accepts diagrams of at most ${key.maxDiagramSize} bytes`
+    });
+  }
+
+  next();
+};
+
+// Per-key format and diagram size limits of the export endpoints
+const checkKeyLimits = [(req, res, next) => {
+  const key = req.apiKey;
+  const body = req.body || {};
+
+  if (key.formats) {
+    const format = String(body.format || 'png');
+    if (!key.formats.includes(format) && !key.formats.includes(extensionOf(format))) {
+      return res.status(403).json({ 
+        error: 'Format not allowed',
+        message: `This API key may only export: ${key.formats.join(', ')}`
+      });
+    }
+  }
+
+  next();
+}, checkKeySize];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: 1 }
+}).single('file');
+
+// Form fields and query parameters arrive as strings
+const numericFields = ['scale', 'border', 'width', 'height', 'quality'];
+const booleanFields = ['embedImages', 'embedFonts', 'embedDiagram', 'fit', 'connectedEdges'];
+
+const coerceFields = (fields) => {
+  const result = { ...fields };
+  numericFields.forEach((f) => {
+    if (typeof result[f] === 'string' && result[f] !== '' && !isNaN(result[f])) {
+      result[f] = +result[f];
+    }
+  });
+  booleanFields.forEach((f) => {
+    if (result[f] === 'true' || result[f] === 'false') {
+      result[f] = result[f] === 'true';
+    }
+  });
+  return result;
+};
+
+// Accepts the diagram as a multipart/form-data `file` (.drawio, .xml, or a
+// PNG, SVG or PDF with an embedded diagram) with the options as form fields,
+// or as a raw request body with the options in the query string. Either way
+// req.body ends up in the same shape as a JSON request.
+const readUpload = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ 
+        error: 'Invalid upload',
+        message: err.message
+      });
+    }
+
+    try {
+      if (req.file) {
+        req.body = { ...coerceFields(req.body), xml: extractDiagram(req.file.buffer) };
+      } else if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+        req.body = { ...coerceFields(req.query), xml: extractDiagram(Buffer.from(req.body)) };
+      }
+    } catch (error) {
+      return res.status(error.status || 400).json({ 
+        error: 'Invalid upload',
+        message: error.message
+      });
+    }
+
+    next();
+  });
+};
+
+const mimeTypes = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  svg: 'image/svg+xml',
+};
+
+// File extension of an export format, ignoring any cat-/split- prefix
+const extensionOf = (format) => format.replace(/^.*-/, '');
+
+const mimeTypeOf = (format) => mimeTypes[extensionOf(format)] || 'application/octet-stream';
+
+// Page file names for split-* exports, made safe for archives and unique
+const entryNames = (entries) => {
+  const seen = {};
+  return entries.map(({ fileName }) => {
+    const safe = fileName.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+    seen[safe] = (seen[safe] || 0) + 1;
+    if (seen[safe] === 1) {
+      return safe;
+    }
+    const ext = path.extname(safe);
+    return `${path.basename(safe, ext)}-${seen[safe] - 1}${ext}`;
+  });
+};
+
+const toZip = (entries) => {
+  const zip = new JSZip();
+  const names = entryNames(entries);
+  entries.forEach((entry, i) => zip.file(names[i], entry.data));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
 // Health check endpoint (no auth required)
 app.get('/health', (req, res) => {
   res.json({ 
@@ -48,65 +286,282 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Readiness: exports can be served, i.e. the draw.io assets are prepared and
+// a browser is running; 503 otherwise
+app.get('/health/ready', (req, res) => {
+  const { ready, problems, pool } = exportDiagram.readiness();
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not ready',
+    problems,
+    browsers: pool,
+    jobs: jobs.stats()
+  });
+});
+
+// Prometheus metrics (no auth required)
+app.get('/metrics', async (req, res, next) => {
+  try {
+    res.type(metrics.register.contentType).send(await metrics.register.metrics());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reads the export parameters shared by the export and job endpoints
+const readExportRequest = (body = {}) => {
+  const {
+    xml,
+    format = 'png',
+    scale = 1,
+    border = 0,
+    embedImages = false,
+    embedFonts = false,
+    embedDiagram = false,
+    pageIndex,
+    pageId,
+    pageName,
+    background,
+    theme,
+    width,
+    height,
+    paper,
+    orientation,
+    margin,
+    fit,
+    quality,
+    variants,
+    layers,
+    hideLayers,
+    tags,
+    hideTags,
+    cells,
+    connectedEdges,
+    region
+  } = body;
+
+  return {
+    xml,
+    format,
+    options: {
+      scale,
+      border,
+      embedImages,
+      embedFonts,
+      embedDiagram,
+      pageIndex,
+      pageId,
+      pageName,
+      background,
+      theme,
+      width,
+      height,
+      paper,
+      orientation,
+      margin,
+      fit,
+      quality,
+      variants,
+      layers,
+      hideLayers,
+      tags,
+      hideTags,
+      cells,
+      connectedEdges,
+      region
+    }
+  };
+};
+
+// Sends a 400 response and returns false when the XML is missing or invalid.
+// Invalid diagrams are described by problem, and page where it applies.
+const checkXml = (xml, res) => {
+  if (!xml) {
+    res.status(400).json({ 
+      error: 'Missing XML',
+      message: 'XML content is required in request body'
+    });
+    return false;
+  }
+
+  if (typeof xml !== 'string') {
+    res.status(400).json({ 
+      error: 'Invalid XML type',
+      message: 'XML must be a string'
+    });
+    return false;
+  }
+
+  try {
+    parseDiagram(xml);
+  } catch (error) {
+    res.status(error.status || 400).json({
+      error: 'Invalid diagram',
+      message: error.message,
+      ...error.details
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Turns an export result into a single file; split-* formats and variants
+// yield one entry per page or variant, which are returned as a ZIP archive
+const toDownload = async (result, format) => {
+  if (Array.isArray(result)) {
+    return {
+      data: await toZip(result),
+      mimeType: 'application/zip',
+      fileName: 'diagram.zip'
+    };
+  }
+
+  return {
+    data: result,
+    mimeType: mimeTypeOf(format),
+    fileName: `diagram.${extensionOf(format)}`
+  };
+};
+
+// The ETag of an export, derived from its cache key, which checks the export
+// first: bad input is a 400 before the draw.io assets are ready. When the
+// request's If-None-Match lists it, nothing is rendered: the export
+// endpoints are POSTs, which RFC 9110 answers with 412 Precondition Failed
+// (a GET would get 304). `*` only matches an output already in the cache.
+// Returns the ETag to send with the export, or null when the response was
+// sent.
+const checkEtag = async (req, res, { xml, format, options }, variant = '') => {
+  const key = await exportDiagram.cacheKey(xml, format, options);
+  const etag = `"${key}${variant}"`;
+  const header = req.get('If-None-Match');
+  if (!header) {
+    return etag;
+  }
+  const tags = header.split(',').map((t) => t.trim());
+  const matches = tags.includes('*')
+    ? await exportDiagram.isCached(key)
+    : tags.some((t) => t.replace(/^W\//, '') === etag);
+  if (!matches) {
+    return etag;
+  }
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    res.setHeader('ETag', etag);
+    res.status(304).end();
+  } else {
+    res.status(412).json({
+      error: 'Precondition Failed',
+      message: 'The output has not changed since the ETag in If-None-Match'
+    });
+  }
+  return null;
+};
+
+// Aborts the export when the client goes away before the response is sent
+const abortOnClose = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+};
+
 // Main export endpoint
-app.post('/api/export', validateApiKey, async (req, res) => {
+app.post('/api/export', validateApiKey, readUpload, checkKeyLimits, async (req, res) => {
   try {
-    const { xml, format = 'png', scale = 1, border = 0 } = req.body;
+    const { xml, format, options } = readExportRequest(req.body);
     
-    if (!xml) {
-      return res.status(400).json({ 
-        error: 'Missing XML',
-        message: 'XML content is required in request body'
-      });
+    if (!checkXml(xml, res)) {
+      return;
     }
-    
-    if (typeof xml !== 'string') {
-      return res.status(400).json({ 
-        error: 'Invalid XML type',
-        message: 'XML must be a string'
-      });
+
+    const etag = await checkEtag(req, res, { xml, format, options });
+    if (!etag) {
+      return;
     }
 
-    console.log(`[${new Date().toISOString()}] Exporting diagram to ${format}...`);
-    
-    const buffer = await exportDiagram(xml, format, { scale, border });
+    req.log.info('Exporting diagram', { format });
     
-    const mimeType = format === 'pdf' ? 'application/pdf' : 'image/png';
-    const extension = format === 'pdf' ? 'pdf' : 'png';
+    const result = await exportDiagram(xml, format, { ...options, signal: abortOnClose(res), log: req.log });
+    const { data: buffer, mimeType, fileName } = await toDownload(result, format);
     
+    res.setHeader('ETag', etag);
     res.setHeader('Content-Type', mimeType);
-    res.setHeader('Content-Disposition', `attachment; filename="diagram.${extension}"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     res.setHeader('Content-Length', buffer.length);
     res.send(buffer);
     
-    console.log(`[${new Date().toISOString()}] Successfully exported diagram (${buffer.length} bytes)`);
+    req.log.info('Exported diagram', { format, bytes: buffer.length });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Export error:`, error);
-    res.status(500).json({ 
+    logFailure(req, 'Export failed', error);
+    res.status(error.status || 500).json({ 
       error: 'Export failed',
-      message: error.message
+      message: error.message,
+      ...error.details
     });
   }
 });
 
 // Export with base64 response (for embedded display)
-app.post('/api/export/base64', validateApiKey, async (req, res) => {
+app.post('/api/export/base64', validateApiKey, readUpload, checkKeyLimits, async (req, res) => {
   try {
-    const { xml, format = 'png', scale = 1, border = 0 } = req.body;
+    const { xml, format, options } = readExportRequest(req.body);
     
-    if (!xml) {
-      return res.status(400).json({ 
-        error: 'Missing XML',
-        message: 'XML content is required in request body'
-      });
+    if (!checkXml(xml, res)) {
+      return;
     }
 
-    console.log(`[${new Date().toISOString()}] Exporting diagram to ${format} (base64)...`);
+    const etag = await checkEtag(req, res, { xml, format, options }, '-base64');
+    if (!etag) {
+      return;
+    }
+
+    req.log.info('Exporting diagram', { format, base64: true });
     
-    const buffer = await exportDiagram(xml, format, { scale, border });
+    const result = await exportDiagram(xml, format, { ...options, signal: abortOnClose(res), log: req.log });
+
+    if (Array.isArray(result)) {
+      const names = entryNames(result);
+      const pages = result.map((entry, i) => {
+        const base64 = entry.data.toString('base64');
+        const mimeType = mimeTypeOf(entry.format);
+        return {
+          index: entry.index,
+          id: entry.id,
+          name: entry.name,
+          variant: entry.variant,
+          fileName: names[i],
+          mimeType: mimeType,
+          data: base64,
+          dataUrl: `data:${mimeType};base64,${base64}`,
+          size: entry.data.length
+        };
+      });
+      const size = pages.reduce((sum, p) => sum + p.size, 0);
+
+      res.setHeader('ETag', etag);
+      res.json({
+        success: true,
+        format: format,
+        pages: pages,
+        size: size
+      });
+
+      req.log.info('Exported diagram', { format, base64: true, pages: pages.length, bytes: size });
+      return;
+    }
+
+    const buffer = result;
     const base64 = buffer.toString('base64');
-    const mimeType = format === 'pdf' ? 'application/pdf' : 'image/png';
+    const mimeType = mimeTypeOf(format);
     
+    res.setHeader('ETag', etag);
     res.json({
       success: true,
       format: format,
@@ -116,26 +571,181 @@ app.post('/api/export/base64', validateApiKey, async (req, res) => {
       size: buffer.length
     });
     
-    console.log(`[${new Date().toISOString()}] Successfully exported diagram to base64 (${buffer.length} bytes)`);
+    req.log.info('Exported diagram', { format, base64: true, bytes: buffer.length });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Export error:`, error);
-    res.status(500).json({ 
+    logFailure(req, 'Export failed', error);
+    res.status(error.status || 500).json({ 
       error: 'Export failed',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+// Describes a diagram without rendering it
+app.post('/api/inspect', validateApiKey, readUpload, checkKeySize, (req, res) => {
+  const { xml } = req.body || {};
+
+  if (!checkXml(xml, res)) {
+    return;
+  }
+
+  try {
+    res.json(inspect(xml));
+  } catch (error) {
+    logFailure(req, 'Inspect failed', error);
+    res.status(error.status || 500).json({
+      error: 'Inspect failed',
       message: error.message
     });
   }
 });
 
+// Background export jobs. Set JOB_STORE=file to keep jobs and their output in
+// JOB_STORE_DIR instead of memory.
+const jobs = createJobQueue({
+  store: process.env.JOB_STORE === 'file'
+    ? createFileStore(process.env.JOB_STORE_DIR || path.join(__dirname, '.jobs'))
+    : createMemoryStore(),
+  run: async ({ xml, format, options, requestId }, onProgress) => {
+    const log = logger.child({ requestId });
+    try {
+      const result = await exportDiagram(xml, format, { ...options, onProgress, log });
+      const download = await toDownload(result, format);
+      log.info('Export job done', { format, bytes: download.data.length });
+      return download;
+    } catch (error) {
+      logFailure({ log }, 'Export job failed', error, { format });
+      throw error;
+    }
+  }
+});
+
+metrics.gauge('drawio_export_jobs_queued', 'Export jobs waiting to run', () => jobs.stats().queued);
+metrics.gauge('drawio_export_jobs_running', 'Export jobs running', () => jobs.stats().running);
+
+// Jobs belong to the key that submitted them: another key gets a 404, as if
+// the job did not exist, so teams sharing a deployment cannot see each other's
+const ownJob = async (req) => {
+  const job = await jobs.get(req.params.id);
+  return job && job.keyName === req.apiKey.name ? job : null;
+};
+
+// A job record as clients see it, without the name of its key
+const jobView = ({ keyName, ...job }) => job;
+
+// Submit an export job, returns immediately with the job id
+app.post('/api/jobs', validateApiKey, readUpload, checkKeyLimits, async (req, res) => {
+  try {
+    const { xml, format, options } = readExportRequest(req.body);
+
+    if (!checkXml(xml, res)) {
+      return;
+    }
+
+    const job = await jobs.submit({
+      xml, format, options, requestId: req.id
+    }, { format, requestId: req.id, keyName: req.apiKey.name });
+
+    req.log.info('Queued export job', { jobId: job.id, format });
+
+    res.status(202)
+      .location(`/api/jobs/${job.id}`)
+      .json({
+        ...jobView(job),
+        links: {
+          status: `/api/jobs/${job.id}`,
+          result: `/api/jobs/${job.id}/result`
+        }
+      });
+  } catch (error) {
+    logFailure(req, 'Job submission failed', error);
+    res.status(500).json({ 
+      error: 'Job submission failed',
+      message: error.message
+    });
+  }
+});
+
+// Job status: queued, running, done or failed, with per-page progress
+app.get('/api/jobs/:id', validateApiKey, async (req, res, next) => {
+  try {
+    const job = await ownJob(req);
+
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        message: `No job with id ${req.params.id}`
+      });
+    }
+
+    res.json(jobView(job));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Streams the output of a finished job
+app.get('/api/jobs/:id/result', validateApiKey, async (req, res, next) => {
+  try {
+    const job = await ownJob(req);
+
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Job not found',
+        message: `No job with id ${req.params.id}`
+      });
+    }
+
+    if (job.status === 'failed') {
+      return res.status(job.error.status).json({ 
+        error: 'Export failed',
+        message: job.error.message
+      });
+    }
+
+    if (job.status !== 'done') {
+      return res.status(409).json({ 
+        error: 'Job not finished',
+        message: `Job ${job.id} is ${job.status}`,
+        status: job.status
+      });
+    }
+
+    const stream = await jobs.openResult(job.id);
+    if (!stream) {
+      return res.status(410).json({ 
+        error: 'Result expired',
+        message: `The output of job ${job.id} is no longer available`
+      });
+    }
+
+    res.setHeader('Content-Type', job.result.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${job.result.fileName}"`);
+    res.setHeader('Content-Length', job.result.size);
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // API documentation endpoint
 app.get('/api/docs', (req, res) => {
   res.json({
     version: '1.0.0',
     title: 'Draw.io Export API',
-    description: 'REST API for converting Draw.io XML diagrams to PNG or PDF',
+    description: 'REST API for converting Draw.io XML diagrams to PNG, PDF or SVG',
     authentication: {
       method: 'API Key',
       location: 'X-API-Key header or apiKey query parameter',
-      example: 'X-API-Key: 11223344zzz'
+      example: 'X-API-Key: YOUR_API_KEY',
+      limits: 'Keys may be limited to some formats (403), a maximum diagram size (413), requests per minute and exports per day (429 with Retry-After)'
+    },
+    uploads: {
+      json: 'Content-Type: application/json with the XML in `xml` and the options as fields',
+      multipart: 'multipart/form-data with the diagram in a `file` field (.drawio, .xml, or a PNG, SVG or PDF exported with the diagram embedded) and the options as form fields',
+      raw: 'The file itself as the body (application/xml, text/xml, image/png, image/svg+xml, application/pdf or application/octet-stream) with the options in the query string'
     },
     endpoints: [
       {
@@ -144,20 +754,62 @@ app.get('/api/docs', (req, res) => {
         description: 'Health check (no authentication required)',
         response: { status: 'ok', version: '1.0.0' }
       },
+      {
+        path: '/health/live',
+        method: 'GET',
+        description: 'Liveness: the process is up (no authentication required)',
+        response: { status: 'ok' }
+      },
+      {
+        path: '/health/ready',
+        method: 'GET',
+        description: 'Readiness: the draw.io assets are prepared and a browser is running; 503 with the problems otherwise (no authentication required)',
+        response: { status: 'ready', problems: [], browsers: { size: 2, active: 2, idle: 2, busy: 0, waiting: 0 }, jobs: { queued: 0, running: 0, concurrency: 2 } }
+      },
+      {
+        path: '/metrics',
+        method: 'GET',
+        description: 'Prometheus metrics: requests by route, format and status, render stage durations (launch, load, render, capture), output sizes, cache hits and misses, job queue depth and browsers (no authentication required)',
+        response: 'text/plain; version=0.0.4'
+      },
       {
         path: '/api/export',
         method: 'POST',
         description: 'Export diagram and return binary blob',
         authentication: 'required',
         requestBody: {
-          xml: 'string (required) - Draw.io XML content',
-          format: 'string (optional, default: "png") - Output format: "png" or "pdf"',
+          xml: 'string (required unless a file is uploaded) - Draw.io XML content',
+          format: 'string (optional, default: "png") - Output format: "png", "jpeg" (or "jpg"), "webp", "pdf", "svg", "cat-pdf", or "split-", "split-index-", "split-id-", "split-name-" followed by one of those',
+          quality: 'number (optional, default: 80) - JPEG and WebP only: quality from 1 to 100',
           scale: 'number (optional, default: 1) - Scale factor',
-          border: 'number (optional, default: 0) - Border width'
+          border: 'number (optional, default: 0) - Border width',
+          embedImages: 'boolean (optional, default: false) - SVG only: inline referenced images as data URLs',
+          embedFonts: 'boolean (optional, default: false) - SVG only: inline web fonts as data URLs',
+          embedDiagram: 'boolean (optional, default: false) - PNG, SVG and PDF: include a copy of the diagram, so the output can be opened in draw.io or uploaded again',
+          pageIndex: 'number or string (optional) - Zero-based page indices to export, e.g. 2, "2-4" or "0,3-5"',
+          pageId: 'string or array (optional) - Ids of the pages to export',
+          pageName: 'string or array (optional) - Names of the pages to export',
+          background: 'string (optional, default: "transparent") - Hex color, "transparent", or "diagram" for the page\'s own background',
+          theme: 'string (optional, default: "light") - "light" or "dark"; dark defaults to a dark background',
+          width: 'number (optional) - Target width in pixels, keeping the aspect ratio',
+          height: 'number (optional) - Target height in pixels, keeping the aspect ratio',
+          paper: 'string (optional) - PDF only: "A4", "Letter" or "A3"; every page is printed on this paper',
+          orientation: 'string (optional, default: "auto") - PDF paper orientation: "auto", "portrait" or "landscape"',
+          margin: 'number, string or object (optional, default: 0) - PDF paper margin, e.g. 20, "10mm" or { top, right, bottom, left }',
+          fit: 'boolean (optional, default: true) - PDF paper: scale up to fill the page; false only shrinks oversized diagrams',
+          layers: 'string or array (optional) - Only show these layers, by name or id, e.g. "Customer view"; unknown layers return 400',
+          hideLayers: 'string or array (optional) - Hide these layers, by name or id',
+          tags: 'string or array (optional) - Only include cells with one of these draw.io tags, with their containers and contents',
+          hideTags: 'string or array (optional) - Leave out cells with any of these tags',
+          cells: 'string or array (optional) - Only export these cells, by id, with their containers and contents; unknown ids return 400',
+          connectedEdges: 'boolean (optional, default: false) - With cells: also export the edges between them',
+          region: 'string, array or object (optional) - Crop to this area in diagram coordinates: "x,y,width,height", [x, y, width, height] or { x, y, width, height }; the border is added around it',
+          variants: 'string or array (optional) - Outputs to render in one pass, e.g. "1x,2x,w200": scales (2x), maximum widths (w200), heights (h120) or boxes (200x120), or [{ scale } or { width, height }, with an optional suffix]; not with paper'
         },
         responseHeaders: {
-          'Content-Type': 'image/png or application/pdf',
-          'Content-Disposition': 'attachment; filename="diagram.png"'
+          'Content-Type': 'image/png, application/pdf, image/svg+xml, or application/zip for split-* formats and variants (one file per page and variant, e.g. diagram@2x.png)',
+          'Content-Disposition': 'attachment; filename="diagram.png"',
+          ETag: 'Identifies the XML, format, options and draw.io version; send it back in If-None-Match to get a 412 instead of the output when nothing changed'
         }
       },
       {
@@ -166,10 +818,33 @@ app.get('/api/docs', (req, res) => {
         description: 'Export diagram and return as base64-encoded JSON',
         authentication: 'required',
         requestBody: {
-          xml: 'string (required) - Draw.io XML content',
-          format: 'string (optional, default: "png") - Output format: "png" or "pdf"',
+          xml: 'string (required unless a file is uploaded) - Draw.io XML content',
+          format: 'string (optional, default: "png") - Output format, same values as /api/export',
+          quality: 'number (optional, default: 80) - JPEG and WebP only: quality from 1 to 100',
           scale: 'number (optional, default: 1) - Scale factor',
-          border: 'number (optional, default: 0) - Border width'
+          border: 'number (optional, default: 0) - Border width',
+          embedImages: 'boolean (optional, default: false) - SVG only: inline referenced images as data URLs',
+          embedFonts: 'boolean (optional, default: false) - SVG only: inline web fonts as data URLs',
+          embedDiagram: 'boolean (optional, default: false) - PNG, SVG and PDF: include a copy of the diagram, so the output can be opened in draw.io or uploaded again',
+          pageIndex: 'number or string (optional) - Zero-based page indices to export, e.g. 2, "2-4" or "0,3-5"',
+          pageId: 'string or array (optional) - Ids of the pages to export',
+          pageName: 'string or array (optional) - Names of the pages to export',
+          background: 'string (optional, default: "transparent") - Hex color, "transparent", or "diagram" for the page\'s own background',
+          theme: 'string (optional, default: "light") - "light" or "dark"; dark defaults to a dark background',
+          width: 'number (optional) - Target width in pixels, keeping the aspect ratio',
+          height: 'number (optional) - Target height in pixels, keeping the aspect ratio',
+          paper: 'string (optional) - PDF only: "A4", "Letter" or "A3"; every page is printed on this paper',
+          orientation: 'string (optional, default: "auto") - PDF paper orientation: "auto", "portrait" or "landscape"',
+          margin: 'number, string or object (optional, default: 0) - PDF paper margin, e.g. 20, "10mm" or { top, right, bottom, left }',
+          fit: 'boolean (optional, default: true) - PDF paper: scale up to fill the page; false only shrinks oversized diagrams',
+          layers: 'string or array (optional) - Only show these layers, by name or id, e.g. "Customer view"; unknown layers return 400',
+          hideLayers: 'string or array (optional) - Hide these layers, by name or id',
+          tags: 'string or array (optional) - Only include cells with one of these draw.io tags, with their containers and contents',
+          hideTags: 'string or array (optional) - Leave out cells with any of these tags',
+          cells: 'string or array (optional) - Only export these cells, by id, with their containers and contents; unknown ids return 400',
+          connectedEdges: 'boolean (optional, default: false) - With cells: also export the edges between them',
+          region: 'string, array or object (optional) - Crop to this area in diagram coordinates: "x,y,width,height", [x, y, width, height] or { x, y, width, height }; the border is added around it',
+          variants: 'string or array (optional) - Outputs to render in one pass, e.g. "1x,2x,w200": scales (2x), maximum widths (w200), heights (h120) or boxes (200x120), or [{ scale } or { width, height }, with an optional suffix]; not with paper'
         },
         responseBody: {
           success: 'boolean',
@@ -177,14 +852,63 @@ app.get('/api/docs', (req, res) => {
           mimeType: 'string',
           data: 'string (base64)',
           dataUrl: 'string (data URL for HTML img tag)',
-          size: 'number (bytes)'
+          size: 'number (bytes)',
+          pages: 'array (split-* formats and variants only, replaces mimeType/data/dataUrl) - [{ index, id, name, variant, fileName, mimeType, data, dataUrl, size }]; variant is the file name suffix, e.g. "@2x"'
         }
+      },
+      {
+        path: '/api/inspect',
+        method: 'POST',
+        description: 'Describe a diagram without rendering it; accepts the same bodies and uploads as /api/export, does not count towards the daily quota',
+        authentication: 'required',
+        requestBody: {
+          xml: 'string (required unless a file is uploaded) - Draw.io XML content'
+        },
+        responseBody: {
+          host: 'string - Application that saved the file',
+          version: 'string - draw.io version that saved the file',
+          pageCount: 'number',
+          math: 'boolean - Whether any page enables math typesetting',
+          fonts: 'array - Font families used',
+          images: 'array - External image URLs referenced',
+          tags: 'array - draw.io tags set on cells',
+          pages: 'array - [{ index, id, name, compressed, bounds, pageSize, background, math, cells: { total, vertices, edges, layers }, layers, tags, fonts, images }]'
+        }
+      },
+      {
+        path: '/api/jobs',
+        method: 'POST',
+        description: 'Queue an export job and return its id without waiting for the render',
+        authentication: 'required',
+        requestBody: 'same as /api/export',
+        response: { id: 'string', status: 'queued', links: { status: '/api/jobs/:id', result: '/api/jobs/:id/result' } }
+      },
+      {
+        path: '/api/jobs/:id',
+        method: 'GET',
+        description: 'Job status',
+        authentication: 'required',
+        responseBody: {
+          id: 'string',
+          status: 'string - queued, running, done or failed',
+          progress: '{ done, total } - pages rendered so far',
+          result: '{ mimeType, fileName, size } once done',
+          error: '{ status, message } if failed'
+        }
+      },
+      {
+        path: '/api/jobs/:id/result',
+        method: 'GET',
+        description: 'Download the output of a finished job (409 while it is queued or running)',
+        authentication: 'required'
       }
     ],
     examples: {
-      curl_binary: 'curl -X POST http://localhost:3000/api/export -H "X-API-Key: 11223344zzz" -H "Content-Type: application/json" -d \'{"xml":"<mxfile>...</mxfile>", "format":"png"}\' -o diagram.png',
-      curl_base64: 'curl -X POST http://localhost:3000/api/export/base64 -H "X-API-Key: 11223344zzz" -H "Content-Type: application/json" -d \'{"xml":"<mxfile>...</mxfile>", "format":"png"}\'',
-      nodejs: 'fetch("/api/export", { method: "POST", headers: { "X-API-Key": "11223344zzz", "Content-Type": "application/json" }, body: JSON.stringify({ xml, format: "png" }) }).then(r => r.blob()).then(blob => { /* display blob */ })'
+      curl_binary: 'curl -X POST http://localhost:3000/api/export -H "X-API-Key: YOUR_API_KEY" -H "Content-Type: application/json" -d \'{"xml":"<mxfile>...</mxfile>", "format":"png"}\' -o diagram.png',
+      curl_base64: 'curl -X POST http://localhost:3000/api/export/base64 -H "X-API-Key: YOUR_API_KEY" -H "Content-Type: application/json" -d \'{"xml":"<mxfile>...</mxfile>", "format":"png"}\'',
+      curl_upload: 'curl -X POST http://localhost:3000/api/export -H "X-API-Key: YOUR_API_KEY" -F file=@arch.drawio -F format=pdf -o arch.pdf',
+      curl_raw: 'curl -X POST "http://localhost:3000/api/export?format=svg" -H "X-API-Key: YOUR_API_KEY" -H "Content-Type: application/xml" --data-binary @arch.drawio -o arch.svg',
+      nodejs: 'fetch("/api/export", { method: "POST", headers: { "X-API-Key": "YOUR_API_KEY", "Content-Type": "application/json" }, body: JSON.stringify({ xml, format: "png" }) }).then(r => r.blob()).then(blob => { /* display blob */ })'
     }
   });
 });
@@ -194,13 +918,13 @@ app.use((req, res) => {
   res.status(404).json({ 
     error: 'Not found',
     message: `Endpoint ${req.method} ${req.path} does not exist`,
-    availableEndpoints: ['/health', '/api/docs', '/api/export', '/api/export/base64']
+    availableEndpoints: ['/health', '/health/live', '/health/ready', '/metrics', '/api/docs', '/api/export', '/api/export/base64', '/api/inspect', '/api/jobs']
   });
 });
 
 // Error handler
 app.use((err, req, res, next) => {
-  console.error(err);
+  req.log.error('Unhandled error', { err });
   res.status(500).json({ 
     error: 'Internal server error',
     message: err.message
@@ -208,31 +932,62 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`
+const server = app.listen(PORT, () => {
+  logger.info('Server started', { port: +PORT, apiKeys: keys.size });
+
+  // The banner is for humans at a terminal; log collectors only get JSON lines
+  if (process.stdout.isTTY) {
+    console.log(`
 ╔════════════════════════════════════════════════════╗
 ║         Draw.io Export REST API Server             ║
 ╚════════════════════════════════════════════════════╝
   
   Server running on: http://localhost:${PORT}
-  API Key: ${API_KEY}
+  API keys: ${keys.size} configured
   
   Available endpoints:
   ✓ GET  /health                 - Health check
+  ✓ GET  /health/live            - Liveness
+  ✓ GET  /health/ready           - Readiness
+  ✓ GET  /metrics                - Prometheus metrics
   ✓ POST /api/export             - Export as binary blob
   ✓ POST /api/export/base64      - Export as base64 JSON
+  ✓ POST /api/inspect            - Describe a diagram
+  ✓ POST /api/jobs               - Queue an export job
+  ✓ GET  /api/jobs/:id           - Job status
+  ✓ GET  /api/jobs/:id/result    - Job output
   ✓ GET  /api/docs               - API documentation
   ✓ GET  /                        - Web UI
 
   Documentation: http://localhost:${PORT}/api/docs
   
 `);
+  }
+
+  // Warm up the browser pool so the first request does not pay for Chromium startup
+  exportDiagram.warmUp()
+    .then(() => logger.info('Browser pool ready'))
+    .catch((err) => logger.error('Browser pool warm-up failed', { err }));
 });
 
+// Graceful shutdown: stop accepting connections, then close the browsers
+const shutdown = (signal) => {
+  logger.info('Shutting down', { signal });
+  jobs.close();
+  server.close(() => {
+    exportDiagram.shutdown()
+      .catch((err) => logger.error('Browser pool shutdown failed', { err }))
+      .then(() => process.exit(0));
+  });
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 process.on('unhandledRejection', (e) => {
-  console.error('Unhandled rejection:', e);
+  logger.error('Unhandled rejection', { err: e });
 });
 
 process.on('uncaughtException', (e) => {
-  console.error('Uncaught exception:', e);
+  logger.error('Uncaught exception', { err: e });
 });
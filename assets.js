@@ -0,0 +1,259 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const shelljs = require('shelljs');
+const logger = require('./logger')();
+const { httpError } = require('./errors');
+
+const cachePath = (() => {
+  if (process.env.XDG_CACHE_HOME)
+    return path.join(process.env.XDG_CACHE_HOME, 'draw.io-export');
+  if (process.env.HOME)
+    return path.join(process.env.HOME, '.cache', 'draw.io-export');
+  return path.join(__dirname, '.cache');
+})();
+
+// The draw.io version to render with: 'latest' follows app.diagrams.net,
+// anything else is a release tag of jgraph/drawio, e.g. 24.7.5
+const drawioVersion = () => process.env.DRAWIO_VERSION || 'latest';
+
+const isOffline = () => /^(1|true|yes)$/i.test(process.env.DRAWIO_OFFLINE || '');
+
+// Where the assets of a version live: DRAWIO_ASSETS_DIR when vendored,
+// otherwise the user cache (one sub-directory per pinned version)
+const assetDir = (version = drawioVersion()) => {
+  if (process.env.DRAWIO_ASSETS_DIR)
+    return path.resolve(process.env.DRAWIO_ASSETS_DIR);
+  return version === 'latest' ? cachePath : path.join(cachePath, version);
+};
+
+const mathJax = 'https://cdnjs.cloudflare.com/ajax/libs/mathjax/2.7.5';
+
+// url: what the export page requests, and what we answer from the cache
+// source: where the file is downloaded from for a given version
+const assetList = (version = drawioVersion()) => {
+  const webapp = version === 'latest'
+    ? 'https://app.diagrams.net'
+    : `https://raw.githubusercontent.com/jgraph/drawio/v${version}/src/main/webapp`;
+  return [
+    {
+      name: 'export3.html',
+      url: 'https://app.diagrams.net/export3.html',
+      source: `${webapp}/export3.html`,
+    },
+    {
+      name: 'app.min.js',
+      url: 'https://app.diagrams.net/js/app.min.js',
+      source: `${webapp}/js/app.min.js`,
+    },
+    {
+      name: 'MathJax.js',
+      url: `${mathJax}/MathJax.js?config=TeX-MML-AM_HTMLorMML`,
+    },
+    {
+      name: 'TeX-MML-AM_HTMLorMML.js',
+      url: `${mathJax}/config/TeX-MML-AM_HTMLorMML.js?V=2.7.5`,
+    },
+    {
+      name: 'accessibility-menu.js',
+      url: 'https://cdn.mathjax.org/mathjax/contrib/a11y/accessibility-menu.js?V=2.7.5',
+    },
+  ].map((a) => ({ source: a.url, ...a }));
+};
+
+// The page the renderer navigates to; it is answered from the cache
+const exportPageUrl = 'https://app.diagrams.net/export3.html';
+
+const sha256 = (file) => new Promise((resolve, reject) => {
+  const h = crypto.createHash('sha256');
+  fs.createReadStream(file)
+    .on('error', reject)
+    .on('data', (chunk) => h.update(chunk))
+    .on('end', () => resolve(h.digest('hex')));
+});
+
+const exists = (file) => fs.promises.access(file).then(() => true, () => false);
+
+// manifest.json records the version and the checksum of every asset, written
+// when the assets are downloaded or seeded and checked before rendering
+const readManifest = async (dir) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(dir, 'manifest.json'), 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+};
+
+const writeManifest = (dir, manifest) => fs.promises.writeFile(
+  path.join(dir, 'manifest.json'),
+  `${JSON.stringify(manifest, null, 2)}\n`,
+);
+
+// Identifies the exact assets renders use: the version, plus the checksum of
+// app.min.js, so that 'latest' changes identity when draw.io is updated
+const assetVersion = async (version = drawioVersion()) => {
+  const manifest = await readManifest(assetDir(version));
+  const app = manifest && manifest.assets && manifest.assets['app.min.js'];
+  return app ? `${version}@${app.sha256}` : version;
+};
+
+const assetError = (message) => httpError(503, message);
+
+const download = async (asset, dir) => {
+  const target = path.join(dir, asset.name);
+  const response = await axios.get(asset.source, { responseType: 'arraybuffer' });
+  shelljs.mkdir('-p', path.dirname(target));
+  // write then rename, so an interrupted download never looks cached
+  await fs.promises.writeFile(`${target}.part`, response.data);
+  await fs.promises.rename(`${target}.part`, target);
+};
+
+// Checks every asset against the manifest; returns one entry per asset with
+// status ok, missing, corrupt (checksum mismatch) or unverified (no manifest entry)
+const verifyAssets = async (version = drawioVersion()) => {
+  const dir = assetDir(version);
+  const manifest = await readManifest(dir);
+  const recorded = (manifest && manifest.assets) || {};
+  return Promise.all(assetList(version).map(async (asset) => {
+    const file = path.join(dir, asset.name);
+    if (!await exists(file)) {
+      return { ...asset, file, status: 'missing' };
+    }
+    const sum = await sha256(file);
+    if (!recorded[asset.name]) {
+      return { ...asset, file, sha256: sum, status: 'unverified' };
+    }
+    return {
+      ...asset,
+      file,
+      sha256: sum,
+      status: recorded[asset.name].sha256 === sum ? 'ok' : 'corrupt',
+    };
+  }));
+};
+
+const missingHint = (version) => (version === 'latest'
+  ? 'Run `drawio assets seed` on a machine with internet access and copy the cache'
+  : `Run \`drawio assets seed --drawio-version ${version}\` on a machine with internet access and copy the cache`)
+  + ', or point DRAWIO_ASSETS_DIR at a directory holding the assets.';
+
+// Makes sure every asset is present and matches its checksum. Online, missing
+// or corrupt assets are (re)downloaded; offline, they are reported by name.
+// Assets cached before manifests existed are trusted and recorded.
+const ensureAssets = async ({ offline = isOffline(), version = drawioVersion() } = {}) => {
+  const dir = assetDir(version);
+  const results = await verifyAssets(version);
+  const bad = results.filter((r) => r.status === 'missing' || r.status === 'corrupt');
+
+  if (bad.length && offline) {
+    const list = bad.map((r) => `${r.name} (${r.status}, for ${r.url})`).join(', ');
+    throw assetError(`draw.io ${version} assets not usable in ${dir}: ${list}. ${missingHint(version)}`);
+  }
+
+  await Promise.all(bad.map((r) => download(r, dir).catch((e) => {
+    throw assetError(`Failed to download draw.io asset ${r.name} from ${r.source}: ${e.message}`);
+  })));
+
+  if (bad.length || results.some((r) => r.status === 'unverified')) {
+    const manifest = (await readManifest(dir)) || { version, assets: {} };
+    await Promise.all(results.map(async (r) => {
+      const file = path.join(dir, r.name);
+      manifest.assets[r.name] = { url: r.url, sha256: await sha256(file) };
+    }));
+    manifest.version = version;
+    manifest.updatedAt = new Date().toISOString();
+    await writeManifest(dir, manifest);
+  }
+
+  return dir;
+};
+
+// Verification hashes several megabytes, so it is done once per process
+const ready = {};
+const prepareAssets = (options = {}) => {
+  const key = `${options.version || drawioVersion()}:${assetDir(options.version)}`;
+  if (!ready[key]) {
+    ready[key] = ensureAssets(options).catch((e) => {
+      delete ready[key];
+      throw e;
+    });
+  }
+  return ready[key];
+};
+
+// Copies the assets from a directory (vendoring) or downloads them afresh,
+// and records their checksums
+const seedAssets = async ({ from, version = drawioVersion() } = {}) => {
+  const dir = assetDir(version);
+  shelljs.mkdir('-p', dir);
+  const manifest = { version, updatedAt: new Date().toISOString(), assets: {} };
+  for (const asset of assetList(version)) {
+    if (from) {
+      const src = path.join(from, asset.name);
+      if (!await exists(src)) {
+        throw new Error(`Asset ${asset.name} not found in ${from}`);
+      }
+      await fs.promises.copyFile(src, path.join(dir, asset.name));
+    } else {
+      await download(asset, dir);
+    }
+    manifest.assets[asset.name] = { url: asset.url, sha256: await sha256(path.join(dir, asset.name)) };
+  }
+  await writeManifest(dir, manifest);
+  return { dir, manifest };
+};
+
+// Answers the export page's requests from the cache. Offline, every other
+// request is blocked, so a render can never hang on the network. Unreadable
+// assets and blocked requests are logged as warnings on `log()`, the logger
+// of the render the page is doing.
+const interceptRequests = async (page, {
+  offline = isOffline(),
+  version = drawioVersion(),
+  log = () => logger,
+} = {}) => {
+  const dir = assetDir(version);
+  const files = {};
+  assetList(version).forEach((a) => {
+    files[a.url] = a.name;
+  });
+
+  await page.setRequestInterception(true);
+  page.on('request', (interceptedRequest) => {
+    const url = interceptedRequest.url();
+    const t = files[url];
+    if (t) {
+      fs.readFile(path.join(dir, t), (err, res) => {
+        if (err) {
+          log().warn('draw.io asset unreadable', { asset: t, dir, err });
+          interceptedRequest.abort();
+        } else {
+          interceptedRequest.respond({
+            status: 200,
+            body: res,
+          });
+        }
+      });
+    } else if (offline && !url.startsWith('data:')) {
+      log().warn('Blocked request: not a cached draw.io asset (offline mode)', { url });
+      interceptedRequest.abort('blockedbyclient');
+    } else {
+      interceptedRequest.continue();
+    }
+  });
+};
+
+module.exports = {
+  cachePath,
+  assetDir,
+  assetList,
+  assetVersion,
+  drawioVersion,
+  exportPageUrl,
+  interceptRequests,
+  isOffline,
+  prepareAssets,
+  seedAssets,
+  verifyAssets,
+};
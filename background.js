@@ -0,0 +1,26 @@
+const { badRequest } = require('./errors');
+
+const darkBackground = '#18141d';
+
+// Normalizes the background option for render(): a CSS hex color, 'none'
+// for transparent, or 'diagram' for the page's own background color.
+// The dark theme defaults to a dark background instead of transparent.
+module.exports = (background, theme = 'light') => {
+  if (theme !== 'light' && theme !== 'dark') {
+    throw badRequest(`Invalid theme: ${theme}, valid options are: light, dark`);
+  }
+  if (background === undefined || background === null || background === '') {
+    return theme === 'dark' ? darkBackground : 'none';
+  }
+  const bg = String(background).trim().toLowerCase();
+  if (bg === 'transparent' || bg === 'none') {
+    return 'none';
+  }
+  if (bg === 'diagram') {
+    return 'diagram';
+  }
+  if (/^#?([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(bg)) {
+    return bg.startsWith('#') ? bg : `#${bg}`;
+  }
+  throw badRequest(`Invalid background: ${background}, use a hex color, "transparent" or "diagram"`);
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const glob = require('glob');
+const path = require('path');
+const shelljs = require('shelljs');
+
+// Diagram files picked up when a directory is given; explicit files and glob
+// patterns may have any extension
+const diagramFiles = '**/*.{drawio,dio}';
+
+// Expands files, directories (recursively) and glob patterns into a sorted,
+// de-duplicated list of files. Inputs matching nothing are returned in
+// `missing` rather than failing the whole batch.
+const expandInputs = (inputs) => {
+  const files = new Set();
+  const missing = [];
+  inputs.map(String).forEach((input) => {
+    let found;
+    if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      found = glob.sync(diagramFiles, { cwd: input, nodir: true }).map((f) => path.join(input, f));
+    } else if (glob.hasMagic(input)) {
+      found = glob.sync(input, { nodir: true });
+    } else {
+      found = fs.existsSync(input) ? [input] : [];
+    }
+    if (!found.length) {
+      missing.push(input);
+    }
+    found.sort().forEach((f) => files.add(path.normalize(f)));
+  });
+  return { files: [...files], missing };
+};
+
+const isTemplate = (output) => /\{(dir|name|ext|page)\}/.test(output);
+
+// The output path of one source file. The template may use {dir} (the
+// source's directory), {name} (its name without extension), {ext} (the
+// output format's extension) and {page}, which split-* formats fill in per
+// page. Other formats drop {page} together with a separator in front of it.
+const outputPath = (template, file, { ext, split }) => {
+  let target = template;
+  if (!split) {
+    target = target.replace(/[-_.]?\{page\}/g, '');
+  }
+  return path.normalize(target
+    .replace(/\{dir\}/g, path.dirname(file))
+    .replace(/\{name\}/g, path.basename(file).replace(/\.[^.]*$/, ''))
+    .replace(/\{ext\}/g, ext));
+};
+
+// An output option without placeholders names a directory
+const outputTemplate = (output, { split } = {}) => {
+  if (!output) {
+    return split ? '{dir}/{name}-{page}.{ext}' : '{dir}/{name}.{ext}';
+  }
+  if (isTemplate(output)) {
+    if (split && !output.includes('{page}')) {
+      throw new Error('split-* formats write one file per page, put {page} in the output template');
+    }
+    return output;
+  }
+  return path.join(output, split ? '{name}-{page}.{ext}' : '{name}.{ext}');
+};
+
+// Throws when two files would be exported to the same target, e.g.
+// a/arch.drawio and b/arch.drawio with -o build, before anything is written
+const checkTargets = (files, targetOf) => {
+  const byTarget = new Map();
+  files.forEach((file) => {
+    const target = targetOf(file);
+    if (byTarget.has(target)) {
+      throw new Error(`${byTarget.get(target)} and ${file} would both be exported to ${target}; `
+        + 'put {dir} in the output template, e.g. -o \'build/{dir}/{name}.{ext}\'');
+    }
+    byTarget.set(target, file);
+  });
+};
+
+// Runs exportOne(file, targetOf(file)) for every file, `parallel` at a time,
+// and reports each outcome as it completes. exportOne resolves to
+// { skipped: true } when the outputs were up to date. Failures do not stop
+// the batch.
+const runBatch = async (files, {
+  targetOf,
+  parallel = 2,
+  exportOne,
+  onResult = () => {},
+}) => {
+  const results = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < files.length) {
+      const file = files[next++];
+      const target = targetOf(file);
+      const result = { file, target };
+      try {
+        shelljs.mkdir('-p', path.dirname(target));
+        const { skipped = false } = (await exportOne(file, target)) || {};
+        result.ok = true;
+        result.skipped = skipped;
+      } catch (e) {
+        result.ok = false;
+        result.error = e;
+      }
+      results.push(result);
+      onResult(result);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(parallel, files.length)) }, worker));
+  return files.map((file) => results.find((r) => r.file === file));
+};
+
+module.exports = {
+  checkTargets,
+  expandInputs,
+  isTemplate,
+  outputPath,
+  outputTemplate,
+  runBatch,
+};
@@ -1,3 +1,13 @@
 #!/usr/bin/env node
 
-require('../')();
+/* eslint-disable no-console */
+
+const run = require('../index');
+
+// A run that rejects (or throws) failed as a whole: say so in the exit code
+Promise.resolve()
+  .then(run)
+  .catch((e) => {
+    console.error(`✗ ${e.message}`);
+    process.exitCode = 1;
+  });
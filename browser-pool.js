@@ -0,0 +1,167 @@
+const puppeteer = require('puppeteer');
+const { timeStage } = require('./metrics');
+
+const launch = () => timeStage('launch', () => puppeteer.launch({
+  executablePath: process.env.CHROMIUM_PATH,
+  headless: true,
+  args: ['--no-sandbox'],
+}));
+
+// A fixed-size set of long-lived Chromium instances, each holding one page
+// that has already loaded the draw.io export page. A worker is handed out by
+// acquire(), and on release() it either goes back to the idle list (after
+// resetPage) or, once it has done maxRenders renders or crashed, is closed and
+// replaced by a fresh one. An error thrown by use() with `discardBrowser` set
+// (a timed out or abandoned render) also replaces the worker.
+module.exports = ({
+  size = +process.env.POOL_SIZE || 2,
+  maxRenders = +process.env.POOL_MAX_RENDERS || 100,
+  setupPage,
+  resetPage = setupPage,
+}) => {
+  const workers = new Set();
+  const idle = [];
+  const waiting = [];
+  let launching = 0;
+  let starting = null;
+  let closing = false;
+
+  const retire = async (worker) => {
+    workers.delete(worker);
+    const i = idle.indexOf(worker);
+    if (i !== -1)
+      idle.splice(i, 1);
+    // a renderer stuck in a busy loop would not close gracefully
+    const proc = worker.broken && worker.browser.process();
+    if (proc)
+      proc.kill('SIGKILL');
+    try {
+      await worker.browser.close();
+    } catch (e) {
+      // already gone
+    }
+  };
+
+  const hand = (worker) => {
+    const next = waiting.shift();
+    if (next) {
+      next.resolve(worker);
+    } else {
+      idle.push(worker);
+    }
+  };
+
+  const spawn = async () => {
+    const browser = await launch();
+    const worker = { browser, page: null, renders: 0, broken: false };
+    workers.add(worker);
+    browser.on('disconnected', () => {
+      worker.broken = true;
+      if (!closing && workers.has(worker)) {
+        retire(worker).then(replenish).catch(() => {});
+      }
+    });
+    try {
+      worker.page = await browser.newPage();
+      await setupPage(worker.page);
+    } catch (e) {
+      await retire(worker);
+      throw e;
+    }
+    return worker;
+  };
+
+  const replenish = async () => {
+    while (!closing && workers.size + launching < size) {
+      let worker;
+      launching++;
+      try {
+        worker = await spawn();
+      } catch (e) {
+        const next = waiting.shift();
+        if (!next)
+          throw e;
+        next.reject(e);
+        return;
+      } finally {
+        launching--;
+      }
+      hand(worker);
+    }
+  };
+
+  const start = () => {
+    if (!starting) {
+      closing = false;
+      starting = replenish().catch((e) => {
+        starting = null;
+        throw e;
+      });
+    }
+    return starting;
+  };
+
+  const acquire = async () => {
+    if (closing)
+      throw new Error('Browser pool is shut down');
+    start().catch(() => {});
+    const worker = idle.shift();
+    if (worker)
+      return worker;
+    return new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      replenish().catch(reject);
+    });
+  };
+
+  const release = async (worker) => {
+    worker.renders++;
+    if (closing || worker.broken || worker.renders >= maxRenders) {
+      await retire(worker);
+      replenish().catch(() => {});
+      return;
+    }
+    try {
+      await resetPage(worker.page);
+    } catch (e) {
+      await retire(worker);
+      replenish().catch(() => {});
+      return;
+    }
+    hand(worker);
+  };
+
+  const use = async (fn) => {
+    const worker = await acquire();
+    try {
+      return await fn(worker.page);
+    } catch (e) {
+      if (e && e.discardBrowser)
+        worker.broken = true;
+      throw e;
+    } finally {
+      release(worker);
+    }
+  };
+
+  const close = async () => {
+    closing = true;
+    starting = null;
+    while (waiting.length)
+      waiting.shift().reject(new Error('Browser pool is shut down'));
+    idle.length = 0;
+    await Promise.all([...workers].map(retire));
+  };
+
+  const stats = () => ({
+    size,
+    active: workers.size,
+    idle: idle.length,
+    busy: workers.size - idle.length,
+    waiting: waiting.length,
+  });
+
+  return {
+    start, acquire, release, use, close, stats,
+  };
+};
@@ -0,0 +1,83 @@
+const PDFMerger = require('pdf-merger-js');
+const { compress, pngSignature } = require('./diagram-file');
+
+// The diagram as draw.io embeds it: an <mxfile> with compressed pages
+const embeddedXml = (fullXml) => {
+  const xml = fullXml.replace(/^\uFEFF/, '').replace(/^\s*<\?xml[^>]*\?>/, '').trim();
+  if (/^<mxGraphModel\b/.test(xml)) {
+    return `<mxfile><diagram name="Page-1">${compress(xml)}</diagram></mxfile>`;
+  }
+  return xml.replace(/(<diagram\b[^>]*>)([\s\S]*?)(<\/diagram>)/g, (all, open, content, close) => (
+    content.trim().startsWith('<') ? open + compress(content.trim()) + close : all));
+};
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let c = 0xffffffff;
+  for (const byte of buffer) {
+    c = crcTable[(c ^ byte) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// Adds a tEXt chunk right after IHDR, as draw.io does: keyword mxfile, the
+// XML URI-encoded
+const embedPng = (png, xml) => {
+  const ihdrEnd = pngSignature.length + 12 + png.readUInt32BE(pngSignature.length);
+  const text = Buffer.from(`mxfile\0${encodeURIComponent(xml)}`, 'latin1');
+  return Buffer.concat([png.subarray(0, ihdrEnd), pngChunk('tEXt', text), png.subarray(ihdrEnd)]);
+};
+
+const escapeAttribute = (s) => s
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Sets the content attribute of the root <svg>
+const embedSvg = (svg, xml) => Buffer.from(svg.toString('utf-8').replace(/<svg\b[^>]*>/, (tag) => tag
+  .replace(/\scontent="[^"]*"/, '')
+  .replace(/^<svg/, `<svg content="${escapeAttribute(xml)}"`)), 'utf-8');
+
+// Rewrites the PDF with the XML URI-encoded in its /Subject, where draw.io
+// looks for it
+const embedPdf = (pdf, xml) => {
+  const merger = new PDFMerger({ properties: { subject: encodeURIComponent(xml), creator: 'draw.io-export' } });
+  merger.add(pdf);
+  return merger.saveAsBuffer();
+};
+
+// Embeds the source diagram in an output, so that it can be opened again in
+// draw.io or given back as input; other formats than PNG, SVG and PDF are
+// returned as they are
+const embedDiagram = async (format, data, fullXml) => {
+  switch (format) {
+    case 'png':
+      return embedPng(data, embeddedXml(fullXml));
+    case 'svg':
+      return embedSvg(data, embeddedXml(fullXml));
+    case 'pdf':
+      return embedPdf(data, embeddedXml(fullXml));
+    default:
+      return data;
+  }
+};
+
+module.exports = embedDiagram;
+module.exports.embeddedXml = embeddedXml;
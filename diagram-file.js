@@ -0,0 +1,148 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { badRequest } = require('./errors');
+
+const pngSignature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const pdfSignature = Buffer.from('%PDF-', 'latin1');
+
+const entities = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+const unescapeXml = (s) => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, e) => {
+  if (e[0] === '#') {
+    return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : +e.slice(1));
+  }
+  return entities[e] !== undefined ? entities[e] : all;
+});
+
+// draw.io's compressed form: base64 of raw deflate of the URI-encoded text
+const decompress = (data) => {
+  const inflated = zlib.inflateRawSync(Buffer.from(data, 'base64')).toString('utf-8');
+  return decodeURIComponent(inflated);
+};
+
+// The reverse of decompress
+const compress = (text) => zlib.deflateRawSync(Buffer.from(encodeURIComponent(text), 'utf-8')).toString('base64');
+
+// Text chunks of a PNG file, as { keyword: text }
+const pngText = (buffer) => {
+  const chunks = {};
+  let off = pngSignature.length;
+  while (off + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(off);
+    const type = buffer.toString('latin1', off + 4, off + 8);
+    const data = buffer.subarray(off + 8, off + 8 + length);
+    const sep = data.indexOf(0);
+    if (sep > 0) {
+      const keyword = data.toString('latin1', 0, sep);
+      if (type === 'tEXt') {
+        chunks[keyword] = data.toString('latin1', sep + 1);
+      } else if (type === 'zTXt') {
+        chunks[keyword] = zlib.inflateSync(data.subarray(sep + 2)).toString('latin1');
+      } else if (type === 'iTXt') {
+        const compressed = data[sep + 1] === 1;
+        const lang = data.indexOf(0, sep + 3);
+        const translated = data.indexOf(0, lang + 1);
+        const text = data.subarray(translated + 1);
+        chunks[keyword] = (compressed ? zlib.inflateSync(text) : text).toString('utf-8');
+      }
+    }
+    if (type === 'IEND') {
+      break;
+    }
+    off += 12 + length;
+  }
+  return chunks;
+};
+
+const fromPng = (buffer) => {
+  const chunks = pngText(buffer);
+  const text = chunks.mxfile || chunks.mxGraphModel;
+  if (!text) {
+    throw badRequest('The PNG file does not contain a draw.io diagram; export it with "Include a copy of my diagram"');
+  }
+  return /^%3C/i.test(text) ? decodeURIComponent(text) : text;
+};
+
+const fromSvg = (text) => {
+  const m = text.match(/<svg\b[^>]*?\scontent="([^"]*)"/);
+  if (!m) {
+    throw badRequest('The SVG file does not contain a draw.io diagram; export it with "Include a copy of my diagram"');
+  }
+  const content = unescapeXml(m[1]).trim();
+  return content.startsWith('<') ? content : decompress(content);
+};
+
+// The value of the last literal string following `key` in a PDF, e.g. the
+// /Subject of its document information (the trailer's comes last), unescaped
+const pdfString = (text, key) => {
+  const m = [...text.matchAll(new RegExp(`${key}\\s*\\(`, 'g'))].pop();
+  if (!m) {
+    return null;
+  }
+  const escapes = {
+    n: '\n', r: '\r', t: '\t', b: '\b', f: '\f',
+  };
+  let value = '';
+  let depth = 0;
+  for (let i = m.index + m[0].length; i < text.length; i++) {
+    const c = text[i];
+    if (c === '\\') {
+      i += 1;
+      value += escapes[text[i]] || text[i];
+    } else if (c === ')' && depth === 0) {
+      return value;
+    } else {
+      if (c === '(') {
+        depth += 1;
+      } else if (c === ')') {
+        depth -= 1;
+      }
+      value += c;
+    }
+  }
+  return null;
+};
+
+// draw.io stores the diagram URI-encoded in the PDF's /Subject
+const fromPdf = (buffer) => {
+  const subject = pdfString(buffer.toString('latin1'), '/Subject');
+  if (!subject || !/^%3C/i.test(subject)) {
+    throw badRequest('The PDF file does not contain a draw.io diagram; export it with "Include a copy of my diagram"');
+  }
+  return decodeURIComponent(subject);
+};
+
+// Returns the draw.io XML held by an uploaded file: a .drawio or .xml file,
+// or a PNG, SVG or PDF exported with a copy of the diagram
+const extractDiagram = (buffer) => {
+  if (buffer.subarray(0, 8).equals(pngSignature)) {
+    return fromPng(buffer);
+  }
+  if (buffer.subarray(0, 5).equals(pdfSignature)) {
+    return fromPdf(buffer);
+  }
+  const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg\b/.test(text)) {
+    return fromSvg(text);
+  }
+  return text;
+};
+
+// Reads a diagram file, or the diagram embedded in an exported image or PDF
+const readDiagramFile = async (file) => extractDiagram(await fs.promises.readFile(file));
+
+module.exports = {
+  compress,
+  decompress,
+  extractDiagram,
+  pngSignature,
+  pngText,
+  readDiagramFile,
+  unescapeXml,
+};
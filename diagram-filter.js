@@ -0,0 +1,152 @@
+const _ = require('lodash');
+const { parseDiagram, replaceModels } = require('./diagram-xml');
+const { cellsOf } = require('./inspect');
+const { badRequest } = require('./errors');
+
+// 'a,b' or ['a', 'b'] -> ['a', 'b']; null when nothing is given. Array items
+// are not split, so names holding commas can be passed that way.
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const list = (Array.isArray(value) ? value.map(String) : String(value).split(','))
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return list.length ? list : null;
+};
+
+// The layers of a model: the children of its root cell
+const layersOf = (cells) => {
+  const rootCell = cells.find((c) => c.parent === undefined);
+  return cells.filter((c) => rootCell && c.parent === rootCell.id);
+};
+
+const matches = (layer, names) => names.includes(layer.id) || names.includes(layer.value);
+
+// Throws a 400 for a layer, tag or cell found on no page of the document
+const checkNames = (rules, models) => {
+  const layers = models.flatMap((model) => layersOf(cellsOf(model)));
+  const tags = _.uniq(models.flatMap((model) => cellsOf(model).flatMap((c) => c.tags))).sort();
+  [...(rules.layers || []), ...(rules.hideLayers || [])].forEach((name) => {
+    if (!layers.some((layer) => matches(layer, [name]))) {
+      const known = _.uniq(layers.map((layer) => layer.value || layer.id));
+      throw Object.assign(badRequest(`Unknown layer "${name}", the layers are: ${known.join(', ') || 'none'}`), {
+        details: { problem: 'unknown-layer', layer: name, layers: known },
+      });
+    }
+  });
+  [...(rules.tags || []), ...(rules.hideTags || [])].forEach((tag) => {
+    if (!tags.includes(tag)) {
+      throw Object.assign(badRequest(`Unknown tag "${tag}", the tags are: ${tags.join(', ') || 'none'}`), {
+        details: { problem: 'unknown-tag', tag, tags },
+      });
+    }
+  });
+  // cells are shapes and edges; layers are picked with `layers`
+  const shapeIds = new Set(models.flatMap((model) => {
+    const cells = cellsOf(model);
+    const layerCells = layersOf(cells);
+    return cells.filter((c) => c.parent !== undefined && !layerCells.includes(c)).map((c) => c.id);
+  }));
+  (rules.cells || []).forEach((id) => {
+    if (!shapeIds.has(id)) {
+      throw Object.assign(badRequest(`Unknown cell "${id}", or not a shape or edge`), {
+        details: { problem: 'unknown-cell', cell: id },
+      });
+    }
+  });
+};
+
+// Removes from a model the hidden layers and the cells left out by tags or
+// cell ids, with their children and the edges connected to them
+const filterModel = (model, {
+  layers, hideLayers, tags, hideTags, cells: cellIds, connectedEdges,
+}) => {
+  const cells = cellsOf(model);
+  const byId = _.keyBy(cells, 'id');
+  const layerCells = layersOf(cells);
+  const removed = new Set();
+
+  layerCells.forEach((layer) => {
+    if ((layers && !matches(layer, layers)) || (hideLayers && matches(layer, hideLayers))) {
+      removed.add(layer.id);
+    }
+  });
+
+  // the ancestors of a cell, up to its layer; walked at most once each, in
+  // case of a cycle
+  const ancestors = (cell) => {
+    const result = [];
+    const seen = new Set([cell.id]);
+    for (let p = byId[cell.parent]; p && !seen.has(p.id); p = byId[p.parent]) {
+      seen.add(p.id);
+      result.push(p);
+    }
+    return result;
+  };
+  const shapes = cells.filter((c) => c.parent !== undefined && !layerCells.includes(c));
+
+  // a picked cell is kept with its containers and everything inside it;
+  // with `edges`, so are the edges between kept cells
+  const keepOnly = (picked, edges) => {
+    const kept = new Set(picked.flatMap((c) => [c.id, ...ancestors(c).map((a) => a.id)]));
+    const isKept = (c) => kept.has(c.id) || ancestors(c).some((a) => picked.includes(a));
+    shapes.forEach((c) => {
+      const edgeKept = edges && c.edge && byId[c.source] && byId[c.target]
+        && isKept(byId[c.source]) && isKept(byId[c.target]);
+      if (!isKept(c) && !edgeKept) {
+        removed.add(c.id);
+      }
+    });
+  };
+  if (tags) {
+    keepOnly(shapes.filter((c) => c.tags.some((t) => tags.includes(t))), false);
+  }
+  if (cellIds) {
+    keepOnly(shapes.filter((c) => cellIds.includes(c.id)), connectedEdges);
+  }
+  if (hideTags) {
+    shapes.filter((c) => c.tags.some((t) => hideTags.includes(t))).forEach((c) => removed.add(c.id));
+  }
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    cells.forEach((c) => {
+      if (!removed.has(c.id) && (ancestors(c).some((a) => removed.has(a.id))
+        || removed.has(c.source) || removed.has(c.target))) {
+        removed.add(c.id);
+        changed = true;
+      }
+    });
+  }
+
+  const root = model.children.find((c) => c.name === 'root');
+  root.children = root.children.filter((el, i) => !removed.has(cells[i].id));
+};
+
+// Applies the layers, hideLayers, tags, hideTags, cells and connectedEdges
+// options: layers (by name or id), tags and cell ids are checked against the
+// document, and the XML returned holds only what is shown, uncompressed.
+// Cells that are left out are removed rather than hidden, so nothing of them
+// reaches the output, even with embedDiagram. The XML is returned as it is
+// without any of these options.
+const filterDiagram = (fullXml, options = {}) => {
+  const rules = {
+    layers: parseList(options.layers),
+    hideLayers: parseList(options.hideLayers),
+    tags: parseList(options.tags),
+    hideTags: parseList(options.hideTags),
+    cells: parseList(options.cells),
+  };
+  if (!Object.values(rules).some(Boolean)) {
+    return fullXml;
+  }
+
+  const models = parseDiagram(fullXml).pages.map((page) => page.model);
+  checkNames(rules, models);
+  models.forEach((model) => filterModel(model, { ...rules, connectedEdges: Boolean(options.connectedEdges) }));
+  return replaceModels(fullXml, models);
+};
+
+module.exports = filterDiagram;
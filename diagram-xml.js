@@ -0,0 +1,169 @@
+const sax = require('sax');
+const { decompress } = require('./diagram-file');
+const { badRequest } = require('./errors');
+
+// A 400 for a diagram that cannot be rendered; `details` says where and why,
+// e.g. { page: { index, id, name }, problem: 'compressed-content' }
+const invalidDiagram = (message, details) => Object.assign(badRequest(message), { details });
+
+// Parses XML into plain { name, attributes, children, text } elements. Errors
+// carry the parser's reason with a one-based line and column.
+const parseXml = (xml) => {
+  const parser = sax.parser(true);
+  const stack = [];
+  let root = null;
+
+  parser.onopentag = ({ name, attributes }) => {
+    const el = {
+      name,
+      attributes,
+      children: [],
+      text: '',
+    };
+    if (stack.length) {
+      stack[stack.length - 1].children.push(el);
+    } else {
+      root = el;
+    }
+    stack.push(el);
+  };
+  parser.onclosetag = () => stack.pop();
+  parser.ontext = (t) => {
+    if (stack.length) {
+      stack[stack.length - 1].text += t;
+    }
+  };
+  parser.oncdata = parser.ontext;
+  parser.onerror = (e) => {
+    throw Object.assign(e, {
+      reason: e.message.split('\n')[0],
+      line: parser.line + 1,
+      column: parser.column,
+    });
+  };
+
+  parser.write(xml.replace(/^\uFEFF/, '')).close();
+  if (!root) {
+    throw Object.assign(new Error('No root element'), { reason: 'No root element', line: 1, column: 0 });
+  }
+  return root;
+};
+
+const escapeXml = (s) => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\n/g, '&#10;')
+  .replace(/\r/g, '&#13;')
+  .replace(/\t/g, '&#9;');
+
+// The reverse of parseXml; text is kept only in elements without children,
+// where draw.io documents have it (compressed pages)
+const serializeXml = ({ name, attributes, children, text }) => {
+  const attrs = Object.keys(attributes).map((k) => ` ${k}="${escapeXml(attributes[k])}"`).join('');
+  const content = children.length ? children.map(serializeXml).join('') : escapeXml(text.trim());
+  return content ? `<${name}${attrs}>${content}</${name}>` : `<${name}${attrs}/>`;
+};
+
+const describe = (page) => `Page ${page.index + 1}${page.name ? ` ("${page.name}")` : ''}`;
+
+const checkModel = (model, where, page) => {
+  if (model.name !== 'mxGraphModel') {
+    throw invalidDiagram(`${where}: expected <mxGraphModel>, found <${model.name}>`, { page, problem: 'structure' });
+  }
+  if (!model.children.some((c) => c.name === 'root')) {
+    throw invalidDiagram(`${where}: <mxGraphModel> has no <root>`, { page, problem: 'structure' });
+  }
+  return model;
+};
+
+const pageOf = (diagram, index) => {
+  const page = { index, id: diagram.attributes.id || null, name: diagram.attributes.name || null };
+  const where = describe(page);
+
+  if (diagram.children.length) {
+    return { ...page, compressed: false, model: checkModel(diagram.children[0], where, page) };
+  }
+
+  const text = diagram.text.trim();
+  if (!text) {
+    throw invalidDiagram(`${where} is empty`, { page, problem: 'empty-page' });
+  }
+  let inflated;
+  try {
+    inflated = decompress(text);
+  } catch (e) {
+    throw invalidDiagram(`${where}: compressed content cannot be inflated (${e.message})`, { page, problem: 'compressed-content' });
+  }
+  let model;
+  try {
+    model = parseXml(inflated);
+  } catch (e) {
+    throw invalidDiagram(`${where}: inflated content is malformed XML at line ${e.line}, column ${e.column}: ${e.reason}`, {
+      page, problem: 'malformed-xml', line: e.line, column: e.column,
+    });
+  }
+  return { ...page, compressed: true, model: checkModel(model, where, page) };
+};
+
+// Validates a draw.io document, either an <mxfile> of <diagram> pages or a
+// bare <mxGraphModel>, inflating compressed pages. Returns the root's name
+// and attributes, and the pages with their index, id, name and parsed model;
+// throws a 400 naming the page and the problem otherwise. Runs in Node, so
+// bad input is rejected before any browser is involved.
+const parseDiagram = (xml) => {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    throw invalidDiagram('The diagram is empty', { problem: 'empty' });
+  }
+
+  let root;
+  try {
+    root = parseXml(xml);
+  } catch (e) {
+    throw invalidDiagram(`Malformed XML at line ${e.line}, column ${e.column}: ${e.reason}`, {
+      problem: 'malformed-xml', line: e.line, column: e.column,
+    });
+  }
+
+  if (root.name === 'mxGraphModel') {
+    const page = { index: 0, id: null, name: null };
+    return {
+      root: root.name,
+      attributes: {},
+      pages: [{ ...page, compressed: false, model: checkModel(root, 'The diagram', page) }],
+    };
+  }
+  if (root.name !== 'mxfile') {
+    throw invalidDiagram(`Not a draw.io document: the root element is <${root.name}>, expected <mxfile> or <mxGraphModel>`, { problem: 'structure' });
+  }
+
+  const diagrams = root.children.filter((c) => c.name === 'diagram');
+  if (!diagrams.length) {
+    throw invalidDiagram('The document has no pages: <mxfile> holds no <diagram>', { problem: 'no-pages' });
+  }
+  return { root: root.name, attributes: root.attributes, pages: diagrams.map(pageOf) };
+};
+
+// The document `fullXml` with the models of its pages replaced by `models`
+// (as parsed by parseDiagram, then changed), uncompressed
+const replaceModels = (fullXml, models) => {
+  const doc = parseXml(fullXml);
+  if (doc.name === 'mxGraphModel') {
+    return serializeXml(models[0]);
+  }
+  doc.children
+    .filter((c) => c.name === 'diagram')
+    .forEach((diagram, i) => {
+      diagram.children = [models[i]];
+      diagram.text = '';
+    });
+  return serializeXml(doc);
+};
+
+module.exports = {
+  parseDiagram,
+  parseXml,
+  replaceModels,
+  serializeXml,
+};
@@ -0,0 +1,9 @@
+// Errors carrying the HTTP status the API should answer with
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const badRequest = (message) => httpError(400, message);
+
+module.exports = {
+  httpError,
+  badRequest,
+};
@@ -7,7 +7,11 @@
 const fetch = require('node-fetch');
 const fs = require('fs');
 
-const API_KEY = '11223344zzz';
+const API_KEY = process.env.API_KEY;
+if (!API_KEY) {
+  console.error('Set API_KEY to a key the API server accepts');
+  process.exit(1);
+}
 const API_URL = 'http://localhost:3000';
 
 // Read sample XML file
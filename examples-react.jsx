@@ -6,7 +6,8 @@
 
 import React, { useState } from 'react';
 
-const API_KEY = '11223344zzz';
+// Set at build time, e.g. in .env.local; keep it out of the repository
+const API_KEY = process.env.REACT_APP_DRAWIO_API_KEY;
 const API_URL = 'http://localhost:3000';
 
 export function DiagramExporter() {
@@ -1,184 +1,702 @@
 const _ = require('lodash');
-const puppeteer = require('puppeteer');
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
-const shelljs = require('shelljs');
 const PDFMerger = require('pdf-merger-js');
+const pageSelection = require('./page-selection');
+const parseVariants = require('./variants');
+const embedDiagram = require('./diagram-embed');
+const filterDiagram = require('./diagram-filter');
+const { cropToRegion, markRegion, parseRegion } = require('./region');
+const parseBackground = require('./background');
+const { parseLayout, targetZoom, paperSheet } = require('./page-layout');
+const createBrowserPool = require('./browser-pool');
+const outputCache = require('./output-cache');
+const metrics = require('./metrics');
+const logger = require('./logger')();
+const { parseDiagram } = require('./diagram-xml');
+const { badRequest } = require('./errors');
+const { checkPages, checkPixels, stage } = require('./render-limits');
+const { exportPageUrl, interceptRequests, prepareAssets } = require('./assets');
 
-const cachePath = (() => {
-  if (process.env.XDG_CACHE_HOME)
-    return path.join(process.env.XDG_CACHE_HOME, 'draw.io-export');
-  if (process.env.HOME)
-    return path.join(process.env.HOME, '.cache', 'draw.io-export');
-  return path.join(__dirname, '.cache');
-})();
+const loadPage = async (page) => {
+  await stage('load', null, () => page.goto(exportPageUrl, { waitUntil: 'networkidle0', timeout: 0 }));
+};
 
-const cacheExists = (t) => new Promise((resolve) => {
-  fs.exists(path.join(cachePath, t), resolve);
-});
+// The logger of the render each page is doing, for what happens in the page
+// outside of the export's own calls (e.g. blocked requests)
+const pageLogs = new WeakMap();
 
-const cacheDict = {
-  'https://app.diagrams.net/export3.html': 'export3.html',
-  'https://app.diagrams.net/js/app.min.js': 'app.min.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/mathjax/2.7.5/MathJax.js?config=TeX-MML-AM_HTMLorMML': 'MathJax.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/mathjax/2.7.5/config/TeX-MML-AM_HTMLorMML.js?V=2.7.5': 'TeX-MML-AM_HTMLorMML.js',
-  'https://cdn.mathjax.org/mathjax/contrib/a11y/accessibility-menu.js?V=2.7.5': 'accessibility-menu.js',
+const setupPage = async (page) => {
+  await interceptRequests(page, { log: () => pageLogs.get(page) || logger });
+  await loadPage(page);
 };
 
-const cache = async (f, t) => {
-  if (await cacheExists(t)) {
-    return;
-  }
-  const response = await axios.get(f, {
-    responseType: 'stream',
-  });
-  shelljs.mkdir('-p', path.join(cachePath, path.dirname(t)));
-  response.data.pipe(fs.createWriteStream(path.join(cachePath, t)));
-  return new Promise((resolve, reject) => {
-    response.data.on('end', () => {
-      resolve();
-    });
-    response.data.on('error', () => {
-      reject();
+// Serializes the rendered diagram as a standalone SVG document, optionally
+// inlining referenced images and @font-face fonts as data URLs.
+const captureSvg = (page, options) => page.evaluate(async ({
+  w,
+  h,
+  zoom,
+  background,
+  embedImages,
+  embedFonts,
+}) => {
+  const toDataUrl = async (url) => {
+    const res = await fetch(url);
+    if (!res.ok) {
+      throw new Error(`Failed to fetch ${url}: HTTP ${res.status}`);
+    }
+    const blob = await res.blob();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
     });
-  });
-};
+  };
 
-module.exports = async (fullXml, format = 'png', options = {}) => {
-  const { scale = 1, border = 0 } = options;
+  const svg = document.querySelector('svg').cloneNode(true);
+  svg.removeAttribute('style');
+  svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  svg.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  svg.setAttribute('width', `${Math.round(w * zoom)}px`);
+  svg.setAttribute('height', `${Math.round(h * zoom)}px`);
+  svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
 
-  await Promise.all(_.toPairs(cacheDict).map(([f, t]) => cache(f, t)));
+  if (background !== 'none') {
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('width', '100%');
+    rect.setAttribute('height', '100%');
+    rect.setAttribute('fill', background);
+    svg.insertBefore(rect, svg.firstChild);
+  }
 
-  const browser = await puppeteer.launch({
-    executablePath: process.env.CHROMIUM_PATH,
-    headless: true,
-    args: ['--no-sandbox']
-  });
+  if (embedImages) {
+    const xlink = 'http://www.w3.org/1999/xlink';
+    await Promise.all([...svg.querySelectorAll('image')].map(async (img) => {
+      const href = img.getAttributeNS(xlink, 'href') || img.getAttribute('href');
+      if (href && !href.startsWith('data:')) {
+        img.setAttributeNS(xlink, 'xlink:href', await toDataUrl(href));
+      }
+    }));
+    await Promise.all([...svg.querySelectorAll('img')].map(async (img) => {
+      const src = img.getAttribute('src');
+      if (src && !src.startsWith('data:')) {
+        img.setAttribute('src', await toDataUrl(src));
+      }
+    }));
+  }
 
-  try {
-    const page = await browser.newPage();
-    await page.setRequestInterception(true);
-    page.on('request', (interceptedRequest) => {
-      const t = cacheDict[interceptedRequest.url()];
-      if (t) {
-        fs.readFile(path.join(cachePath, t), (err, res) => {
-          if (err) {
-            interceptedRequest.abort();
-          } else {
-            interceptedRequest.respond({
-              status: 200,
-              body: res,
-            });
+  if (embedFonts) {
+    const faces = [];
+    for (const sheet of document.styleSheets) {
+      let rules;
+      try {
+        rules = sheet.cssRules;
+      } catch (e) {
+        continue; // cross-origin stylesheet
+      }
+      for (const rule of rules) {
+        if (rule instanceof CSSFontFaceRule) {
+          let css = rule.cssText;
+          const urls = css.match(/url\(["']?[^"')]+["']?\)/g) || [];
+          for (const u of urls) {
+            const url = u.replace(/^url\(["']?|["']?\)$/g, '');
+            if (!url.startsWith('data:')) {
+              const abs = new URL(url, sheet.href || document.baseURI).href;
+              css = css.replace(u, `url("${await toDataUrl(abs)}")`);
+            }
           }
-        });
-      } else {
-        interceptedRequest.continue();
+          faces.push(css);
+        }
       }
+    }
+    if (faces.length) {
+      const ns = 'http://www.w3.org/2000/svg';
+      let defs = svg.querySelector('defs');
+      if (!defs) {
+        defs = document.createElementNS(ns, 'defs');
+        svg.insertBefore(defs, svg.firstChild);
+      }
+      const style = document.createElementNS(ns, 'style');
+      style.setAttribute('type', 'text/css');
+      style.textContent = faces.join('\n');
+      defs.appendChild(style);
+    }
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+}, options);
+
+// Scales the rendered page with CSS zoom, so vector content stays sharp
+const setZoom = async (page, zoom) => {
+  await page.evaluate((z) => {
+    document.body.style.zoom = z === 1 ? '' : z;
+  }, zoom);
+  return zoom;
+};
+
+// Removes the pages not picked by pageIndex/pageId/pageName from the parsed
+// document; returns the original indices of the pages left, in order.
+const selectPages = async (page, selection) => {
+  const list = await page.evaluate(() => Array.from(doc.documentElement.children)
+    .map((n) => ({ id: n.getAttribute('id'), name: n.getAttribute('name') })));
+  const keep = pageSelection(list, selection);
+  await page.evaluate((indices) => {
+    Array.from(doc.documentElement.children).forEach((n, i) => {
+      if (!indices.includes(i))
+        doc.documentElement.removeChild(n);
     });
+  }, keep);
+  return keep;
+};
 
-    await page.goto('https://www.draw.io/export3.html', { waitUntil: 'networkidle0' });
+let assetsReady = false;
 
-    await page.evaluate((obj) => doc = mxUtils.parseXml(obj), fullXml);
-    const pages = +await page.evaluate(() => doc.documentElement.getAttribute('pages') || 1);
-
-    const gen = async (fmt) => {
-      await page.evaluate((obj) => {
-        const dup = doc.documentElement.cloneNode(false);
-        while (true) {
-          const n = doc.documentElement.firstChild;
-          dup.appendChild(n);
-          if (n.nodeType === Node.ELEMENT_NODE)
-            break;
+const prepare = async () => {
+  await prepareAssets();
+  assetsReady = true;
+};
+
+const formatPattern = /^(?<prefix>.*-)?(?<ext>png|jpe?g|webp|pdf|svg)$/;
+const prefixes = ['cat-', 'split-', 'split-index-', 'split-id-', 'split-name-'];
+
+// JPEG and WebP screenshots take a quality
+const lossyFormats = ['jpeg', 'webp'];
+
+// Splits a format such as split-id-png into its prefix and its core format,
+// png, jpeg, webp, pdf or svg; `ext` is the extension asked for, which may
+// be jpg for jpeg
+const parseFormat = (format) => {
+  const m = String(format).match(formatPattern);
+  if (!m) {
+    throw badRequest(`Format ${format} not allowed, valid options are: png, jpeg, webp, pdf, svg`);
+  }
+  const { prefix, ext } = m.groups;
+  const core = ext === 'jpg' ? 'jpeg' : ext;
+  if (prefix !== undefined && !prefixes.includes(prefix)) {
+    throw badRequest(`Format prefix ${prefix} not allowed, valid options are: ${prefixes.join(', ')}`);
+  }
+  if (prefix === 'cat-' && core !== 'pdf') {
+    throw badRequest(`Format ${format} not allowed, only PDF pages can be concatenated`);
+  }
+  return { prefix, core, ext };
+};
+
+// Quality of lossy formats, 1 to 100
+const parseQuality = (quality = 80) => {
+  const q = +quality;
+  if (!Number.isInteger(q) || q < 1 || q > 100) {
+    throw badRequest(`Invalid quality: ${quality}, use a whole number from 1 to 100`);
+  }
+  return q;
+};
+
+// What a split-* output is named after: the page's index, id or name
+const pageKey = (prefix, { index, id, name }) => ({ 'split-id-': id, 'split-name-': name }[prefix] || index);
+
+// Lays out the first page left in the parsed document, removing it; returns
+// its size and the background it was rendered with. With a region, the page
+// is cropped to it.
+const renderNext = async (page, {
+  background,
+  scale,
+  border,
+  theme,
+  region,
+  marker,
+  signal,
+}) => {
+  const bg = await stage('render', signal, async () => {
+    const result = await page.evaluate((obj) => {
+      const dup = doc.documentElement.cloneNode(false);
+      let n;
+      while (true) {
+        n = doc.documentElement.firstChild;
+        dup.appendChild(n);
+        if (n.nodeType === Node.ELEMENT_NODE)
+          break;
+      }
+      if (obj.bg === 'diagram') {
+        // the background color saved with the page, on its mxGraphModel
+        let model = dup;
+        if (n.nodeName === 'diagram') {
+          model = typeof Editor !== 'undefined' && Editor.parseDiagramNode
+            ? Editor.parseDiagramNode(n) : n.firstElementChild;
         }
-        obj.xml = dup.outerHTML;
-        render(obj);
-      }, {
-        format: 'png',
-        w: 0,
-        h: 0,
-        border: border,
-        bg: 'none',
-        scale: scale,
-      });
+        obj.bg = (model && model.getAttribute('background')) || 'none';
+      }
+      document.body.style.backgroundColor = obj.bg === 'none' ? '' : obj.bg;
+      obj.xml = dup.outerHTML;
+      render(obj);
+      return obj.bg;
+    }, {
+      format: 'png',
+      w: 0,
+      h: 0,
+      border: border,
+      bg: background,
+      theme,
+      scale: scale,
+    });
+    await page.waitForSelector('#LoadingComplete', { timeout: 0 });
+    return result;
+  });
+
+  if (region) {
+    const { w, h } = await stage('render', signal, () => cropToRegion(page, marker, border));
+    return { bg, w, h };
+  }
+
+  const boundsJson = await page.mainFrame().$eval('#LoadingComplete', (div) => div.getAttribute('bounds'));
+  const bounds = JSON.parse(boundsJson);
+
+  const fixingScale = 1;
+  const w = Math.ceil(bounds.width * fixingScale);
+  const h = Math.ceil(bounds.height * fixingScale);
+  return { bg, w, h };
+};
+
+// Zoom of an output variant: a scale of the layout's zoom, or the zoom
+// fitting a maximum width and/or height, which never enlarges the output
+// past the layout's zoom
+const variantZoom = (layout, variant, w, h) => {
+  const baseZoom = targetZoom(layout, w, h);
+  if (!variant) {
+    return baseZoom;
+  }
+  if (variant.scale !== undefined) {
+    return baseZoom * variant.scale;
+  }
+  return Math.min(targetZoom(variant, w, h), baseZoom);
+};
 
-      await page.waitForSelector('#LoadingComplete');
-      const boundsJson = await page.mainFrame().$eval('#LoadingComplete', (div) => div.getAttribute('bounds'));
-      const bounds = JSON.parse(boundsJson);
-
-      const fixingScale = 1;
-      const w = Math.ceil(bounds.width * fixingScale);
-      const h = Math.ceil(bounds.height * fixingScale);
-
-      switch (fmt) {
-        case 'png': {
-          await page.setViewport({ width: w, height: h });
-          const screenshot = await page.screenshot({
-            omitBackground: true,
-            type: 'png',
-            fullPage: true,
+// Captures the page laid out by renderNext in the core format, at `zoom`
+// (PDFs on paper are sized by the paper instead)
+const capture = async (page, core, { bg, w, h }, zoom, {
+  layout,
+  quality,
+  embedImages,
+  embedFonts,
+  signal,
+}) => {
+  switch (core) {
+    case 'png':
+    case 'jpeg':
+    case 'webp': {
+      checkPixels(w * zoom, h * zoom);
+      return stage('capture', signal, async () => {
+        await setZoom(page, zoom);
+        await page.setViewport({ width: Math.ceil(w * zoom), height: Math.ceil(h * zoom) });
+        if (core === 'jpeg' && bg === 'none') {
+          // JPEG has no alpha channel: fill transparent backgrounds with white
+          await page.evaluate(() => {
+            document.body.style.backgroundColor = '#ffffff';
           });
-          return screenshot;
         }
-        case 'pdf': {
-          await page.setViewport({ width: w, height: h });
+        const screenshot = await page.screenshot({
+          omitBackground: bg === 'none' && core !== 'jpeg',
+          type: core,
+          ...(lossyFormats.includes(core) ? { quality } : {}),
+          fullPage: true,
+        });
+        return screenshot;
+      });
+    }
+    case 'pdf': {
+      if (layout.paper) {
+        const sheet = paperSheet(layout, w, h);
+        checkPixels(sheet.width, sheet.height);
+        return stage('capture', signal, async () => {
+          await setZoom(page, sheet.zoom);
+          await page.setViewport({ width: Math.ceil(sheet.areaWidth), height: Math.ceil(sheet.areaHeight) });
           const pdf = await page.pdf({
-            printBackground: false,
-            width: `${w}px`,
-            height: `${h + 1}px`,
-            margin: { top: '0px', bottom: '0px', left: '0px', right: '0px' },
+            printBackground: bg !== 'none',
+            width: `${sheet.width}px`,
+            height: `${sheet.height}px`,
+            margin: _.mapValues(sheet.margin, (m) => `${m}px`),
+            pageRanges: '1',
+            timeout: 0,
           });
           return pdf;
-        }
-        default:
-          throw new Error(`Format ${fmt} not allowed, valid options are: png, pdf`);
+        });
       }
+      const pw = Math.ceil(w * zoom);
+      const ph = Math.ceil(h * zoom);
+      checkPixels(pw, ph);
+      return stage('capture', signal, async () => {
+        await setZoom(page, zoom);
+        await page.setViewport({ width: pw, height: ph });
+        const pdf = await page.pdf({
+          printBackground: bg !== 'none',
+          width: `${pw}px`,
+          height: `${ph + 1}px`, // the extra pixel to prevent adding an extra empty page
+          margin: { top: '0px', bottom: '0px', left: '0px', right: '0px' },
+          timeout: 0,
+        });
+        return pdf;
+      });
+    }
+    case 'svg': {
+      const svg = await stage('capture', signal, () => captureSvg(page, {
+        w,
+        h,
+        zoom,
+        background: bg,
+        embedImages,
+        embedFonts,
+      }));
+      return Buffer.from(svg, 'utf-8');
+    }
+    default:
+      throw new Error(`Format ${core} not allowed, valid options are: png, jpeg, webp, pdf, svg`);
+  }
+};
+
+// Embeds the source diagram in the output of an export, or in each entry
+const embedIn = async (output, core, fullXml) => {
+  if (Buffer.isBuffer(output)) {
+    return embedDiagram(core, output, fullXml);
+  }
+  const entries = [];
+  for (const entry of output) {
+    entries.push({ ...entry, data: await embedDiagram(core, entry.data, fullXml) });
+  }
+  return entries;
+};
+
+// The engine: loads the diagram in a browser page and renders its selected
+// pages one after the other, yielding { index, id, name, format, data } for
+// each. Everything else (concatenating, naming, writing files, HTTP
+// responses) is built on these page results. With variants, each page is
+// laid out once and captured once per variant, in `outputs` instead of
+// `data`.
+async function* renderPages(page, fullXml, core, settings) {
+  const { pageIndex, pageId, pageName, signal } = settings;
+  const indices = await stage('render', signal, async () => {
+    await page.evaluate((obj) => doc = mxUtils.parseXml(obj), fullXml);
+    return selectPages(page, { pageIndex, pageId, pageName });
+  });
+  for (const index of indices) {
+    const { id, name } = await page.evaluate(() => {
+      const n = doc.documentElement.firstElementChild;
+      return { id: n.getAttribute('id'), name: n.getAttribute('name') };
+    });
+    const rendered = await renderNext(page, settings);
+    const { layout, variants } = settings;
+    const result = {
+      index,
+      id,
+      name,
+      format: core,
     };
+    if (variants) {
+      result.outputs = [];
+      for (const variant of variants) {
+        const zoom = variantZoom(layout, variant, rendered.w, rendered.h);
+        result.outputs.push({ suffix: variant.suffix, data: await capture(page, core, rendered, zoom, settings) });
+      }
+    } else {
+      result.data = await capture(page, core, rendered, variantZoom(layout, null, rendered.w, rendered.h), settings);
+    }
+    yield result;
+  }
+}
 
-    const m = format.match(/^(?<prefix>.*-)?(?<core>png|pdf)$/);
-    if (!m) {
-      throw new Error(`Invalid format: ${format}`);
+// Combines page results into the output of the format: the page itself, the
+// pages merged into one PDF (cat-pdf), or for split-* the pages named after
+// their index, id or name
+const assembleOne = async ({ prefix, ext }, results) => {
+  if (prefix === undefined || (prefix === 'cat-' && results.length === 1)) {
+    return results[0].data;
+  }
+  if (prefix === 'cat-') {
+    const merger = new PDFMerger();
+    for (const { data } of results) {
+      await merger.add(data);
     }
+    return merger.saveAsBuffer();
+  }
+  return results.map((result) => ({ ...result, fileName: `${pageKey(prefix, result)}.${ext}` }));
+};
 
-    const { prefix, core } = m.groups;
+// With variants, the output of each variant is assembled as above, and all
+// are returned as entries whose `variant` is the suffix added to their file
+// name, e.g. diagram@2x.png, or Page-1@2x.png for split-name-png
+const assemble = async (parsed, results, variants) => {
+  if (!variants) {
+    return assembleOne(parsed, results);
+  }
+  const entries = [];
+  for (let i = 0; i < variants.length; i++) {
+    const { suffix } = variants[i];
+    const output = await assembleOne(parsed, results.map(({ outputs, ...result }) => ({ ...result, data: outputs[i].data })));
+    if (Buffer.isBuffer(output)) {
+      entries.push({
+        index: results[0].index,
+        id: results[0].id,
+        name: results[0].name,
+        format: parsed.core,
+        variant: suffix,
+        fileName: `diagram${suffix}.${parsed.ext}`,
+        data: output,
+      });
+    } else {
+      output.forEach((entry) => entries.push({
+        ...entry,
+        variant: suffix,
+        fileName: `${pageKey(parsed.prefix, entry)}${suffix}.${parsed.ext}`,
+      }));
+    }
+  }
+  return entries;
+};
 
-    switch (prefix) {
-      case undefined: {
-        return await gen(core);
-      }
-      case 'cat-': {
-        if (core !== 'pdf') {
-          throw new Error('Format not allowed');
+// The render settings of an export, from its options; throws a 400 for an
+// invalid one without a browser or the draw.io assets being involved
+const parseSettings = (core, options) => {
+  const {
+    scale = 1,
+    border = 0,
+    embedImages = false,
+    embedFonts = false,
+    pageIndex,
+    pageId,
+    pageName,
+    theme = 'light',
+    signal,
+  } = options;
+  const settings = {
+    layout: parseLayout(_.pick(options, ['width', 'height', 'paper', 'orientation', 'margin', 'fit']), core),
+    background: parseBackground(options.background, theme),
+    quality: lossyFormats.includes(core) ? parseQuality(options.quality) : undefined,
+    variants: parseVariants(options.variants),
+    region: parseRegion(options.region),
+    scale,
+    border,
+    theme,
+    embedImages,
+    embedFonts,
+    pageIndex,
+    pageId,
+    pageName,
+    signal,
+  };
+
+  if (settings.variants && settings.layout.paper) {
+    throw badRequest('Variants cannot be combined with a paper size');
+  }
+  return settings;
+};
+
+// Checks the format, pages and options of an export before anything is
+// downloaded or rendered. Returns the XML filtered by layers, tags and cells,
+// and the number of pages selected.
+const checkExport = (fullXml, format, options) => {
+  const { prefix, core } = parseFormat(format);
+  const { pages } = parseDiagram(fullXml);
+  const selected = pageSelection(pages, _.pick(options, ['pageIndex', 'pageId', 'pageName']));
+  checkPages(prefix === undefined ? 1 : selected.length);
+  parseSettings(core, options);
+  return { xml: filterDiagram(fullXml, options), pageCount: selected.length };
+};
+
+// The settings of a render and the XML loaded in the browser, which has the
+// region marked in it: the XML embedded in the output does not
+const renderInput = (fullXml, core, options) => {
+  const settings = parseSettings(core, options);
+  if (!settings.region) {
+    return { settings, renderedXml: fullXml };
+  }
+  const { xml, marker } = markRegion(fullXml, settings.region);
+  return { settings: { ...settings, marker }, renderedXml: xml };
+};
+
+// Renders the diagram with a browser of `pool`; without a prefix only the
+// first selected page is rendered. `pageCount` is the number of pages
+// selected, for onProgress.
+const renderDiagram = async (pool, fullXml, format, options, pageCount) => {
+  const { embedDiagram: embed = false, onProgress, log = logger } = options;
+  const parsed = parseFormat(format);
+  const { prefix, core } = parsed;
+  const { settings, renderedXml } = renderInput(fullXml, core, options);
+
+  await prepare();
+
+  const output = await pool.use(async (page) => {
+    pageLogs.set(page, log);
+    try {
+      const results = [];
+      for await (const result of renderPages(page, renderedXml, core, settings)) {
+        results.push(result);
+        if (onProgress) {
+          onProgress({ done: results.length, total: prefix === undefined ? 1 : pageCount });
         }
-        if (pages === 1) {
-          return await gen(core);
-        } else {
-          const merger = new PDFMerger();
-          const buffers = [];
-          for (let i = 0; i < pages; i++) {
-            const buffer = await gen(core);
-            buffers.push(buffer);
-            merger.add(buffer);
-          }
-          const mergedPdf = await merger.save();
-          return mergedPdf;
+        if (prefix === undefined) {
+          break;
         }
       }
-      case 'split-':
-      case 'split-index-': {
-        throw new Error('Split formats not supported in API mode');
-      }
-      case 'split-id-': {
-        throw new Error('Split formats not supported in API mode');
+      return assemble(parsed, results, settings.variants);
+    } finally {
+      pageLogs.delete(page);
+    }
+  });
+  return embed ? embedIn(output, core, fullXml) : output;
+};
+
+// The cache key of an export already checked
+const keyOf = async (fullXml, format, options) => {
+  await prepare();
+  return outputCache.cacheKey(fullXml, format, options);
+};
+
+// The cache key of an export, which the API also uses as its ETag. The export
+// is checked first, so that bad input is a 400 even before the draw.io assets
+// are ready.
+const cacheKey = async (fullXml, format = 'png', options = {}) => {
+  checkExport(fullXml, format, options);
+  return keyOf(fullXml, format, options);
+};
+
+const observeSize = (format, result) => {
+  (Buffer.isBuffer(result) ? [result] : result.map((entry) => entry.data)).forEach((data) => {
+    metrics.outputBytes.observe({ format }, data.length);
+  });
+  return result;
+};
+
+// Renders the diagram with the browsers of `pool`, or returns the bytes
+// cached for the same XML, format, options and draw.io assets; `cache: false`
+// forces a render. Layers and tags are filtered out before the diagram
+// reaches a browser.
+const exportWith = async (pool, fullXml, format, options) => {
+  const { xml, pageCount } = checkExport(fullXml, format, options);
+  if (options.cache === false || !outputCache.isEnabled()) {
+    return observeSize(format, await renderDiagram(pool, xml, format, options, pageCount));
+  }
+  const key = await keyOf(fullXml, format, options);
+  const cached = await outputCache.get(key);
+  metrics.cacheLookups.inc({ result: cached ? 'hit' : 'miss' });
+  if (cached) {
+    return observeSize(format, cached);
+  }
+  const result = await renderDiagram(pool, xml, format, options, pageCount);
+  await outputCache.set(key, result).catch((e) => {
+    logger.warn('Failed to cache export', { cacheKey: key, err: e });
+  });
+  return observeSize(format, result);
+};
+
+// Renders the selected pages in the format's core format with one browser of
+// `pool`, which loads the diagram once, and yields each page result as soon
+// as it is captured: { index, id, name, format, data }, or with variants
+// { ..., outputs: [{ variant, data }] }. Nothing is cached. The browser is
+// held until the pages are all yielded or the caller stops iterating.
+async function* exportPagesWith(pool, fullXml, format, options) {
+  const { embedDiagram: embed = false, onProgress, log = logger } = options;
+  const { core } = parseFormat(format);
+  const { xml, pageCount } = checkExport(fullXml, core, options);
+  checkPages(pageCount);
+  const { settings, renderedXml } = renderInput(xml, core, options);
+  const finish = async (data) => {
+    const output = embed ? await embedDiagram(core, data, xml) : data;
+    metrics.outputBytes.observe({ format: core }, output.length);
+    return output;
+  };
+
+  await prepare();
+
+  const worker = await pool.acquire();
+  pageLogs.set(worker.page, log);
+  try {
+    let done = 0;
+    for await (const { outputs, data, ...result } of renderPages(worker.page, renderedXml, core, settings)) {
+      if (outputs) {
+        result.outputs = [];
+        for (const output of outputs) {
+          result.outputs.push({ variant: output.suffix, data: await finish(output.data) });
+        }
+      } else {
+        result.data = await finish(data);
       }
-      case 'split-name-': {
-        throw new Error('Split formats not supported in API mode');
+      done++;
+      if (onProgress) {
+        onProgress({ done, total: pageCount });
       }
-      default:
-        throw new Error(`Format prefix ${prefix} not allowed, valid options are: cat-, split-, split-index-, split-id-, split-name-`);
+      yield result;
     }
-
+  } catch (e) {
+    if (e && e.discardBrowser) {
+      worker.broken = true;
+    }
+    throw e;
   } finally {
-    await browser.close();
+    pageLogs.delete(worker.page);
+    pool.release(worker);
   }
+}
+
+// A browser pool with the functions exporting on it. The server uses the
+// default renderer below; each library Exporter creates its own.
+const createRenderer = ({ poolSize } = {}) => {
+  let pool = null;
+
+  const getPool = () => {
+    if (!pool) {
+      pool = createBrowserPool({ size: poolSize, setupPage, resetPage: loadPage });
+    }
+    return pool;
+  };
+
+  const exportDiagram = (fullXml, format = 'png', options = {}) => exportWith(getPool(), fullXml, format, options);
+  const exportPages = (fullXml, format = 'png', options = {}) => exportPagesWith(getPool(), fullXml, format, options);
+
+  // Download the assets and launch the browsers ahead of the first request.
+  const warmUp = async () => {
+    await prepare();
+    await getPool().start();
+  };
+
+  const shutdown = async () => {
+    if (pool) {
+      const p = pool;
+      pool = null;
+      await p.close();
+    }
+  };
+
+  const stats = () => (pool ? pool.stats() : null);
+
+  // Ready to export: the draw.io assets are in place and at least one browser
+  // is up. Reasons are given for what is not.
+  const readiness = () => {
+    const problems = [];
+    if (!assetsReady) {
+      problems.push('draw.io assets are not prepared');
+    }
+    const s = stats();
+    if (!s || !s.active) {
+      problems.push('no browser is running');
+    }
+    return { ready: !problems.length, problems, pool: s };
+  };
+
+  return {
+    exportDiagram, exportPages, warmUp, shutdown, stats, readiness,
+  };
 };
+
+const renderer = createRenderer();
+
+metrics.gauge('drawio_export_browsers', 'Browsers running in the pool', () => renderer.stats() && renderer.stats().active);
+metrics.gauge('drawio_export_browsers_busy', 'Browsers currently rendering', () => renderer.stats() && renderer.stats().busy);
+metrics.gauge('drawio_export_browser_waiters', 'Renders waiting for a free browser', () => renderer.stats() && renderer.stats().waiting);
+
+module.exports = renderer.exportDiagram;
+module.exports.cacheKey = cacheKey;
+module.exports.isCached = outputCache.has;
+module.exports.warmUp = renderer.warmUp;
+module.exports.shutdown = renderer.shutdown;
+module.exports.readiness = renderer.readiness;
+module.exports.stats = renderer.stats;
+module.exports.createRenderer = createRenderer;
+module.exports.parseFormat = parseFormat;
+module.exports.pageKey = pageKey;
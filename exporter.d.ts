@@ -0,0 +1,183 @@
+/// <reference types="node" />
+import { Readable } from 'stream';
+
+export type CoreFormat = 'png' | 'jpeg' | 'webp' | 'pdf' | 'svg';
+
+/**
+ * An output format: png, jpeg (or jpg), webp, pdf or svg, cat-pdf for one
+ * PDF of all pages, or split-, split-index-, split-id- or split-name-
+ * followed by one of those for one output per page.
+ */
+export type Format =
+  | CoreFormat
+  | 'jpg'
+  | 'cat-pdf'
+  | `${'split' | 'split-index' | 'split-id' | 'split-name'}-${CoreFormat | 'jpg'}`;
+
+/** Pages by zero-based index spec (2, '0,2-4', [0, 3]) or by id or name. */
+export type PageSelection =
+  | number
+  | string
+  | Array<number | string>
+  | { index?: number | string | Array<number | string>; id?: string | string[]; name?: string | string[] };
+
+/** A length: pixels, or a string in px, in, cm or mm such as '0.5in' */
+export type Length = number | string;
+
+/**
+ * An output variant: a scale ('2x', 2), a maximum width ('w200') or height
+ * ('h120'), or a box ('200x120'). Its files are suffixed '@2x', '@200w',
+ * '@120h' or '@200x120' ('' for 1x) unless a suffix is given.
+ */
+export type Variant =
+  | string
+  | number
+  | { scale: number; suffix?: string }
+  | { width?: number; height?: number; suffix?: string };
+
+export interface ExportOptions {
+  /** Zoom factor (default 1) */
+  scale?: number;
+  /** Border around the diagram, in pixels (default 0) */
+  border?: number;
+  /** JPEG and WebP: quality from 1 to 100 (default 80) */
+  quality?: number;
+  /** 'none', 'diagram' or a CSS color; JPEG fills 'none' with white */
+  background?: string;
+  theme?: 'light' | 'dark';
+  /** Output width; the aspect ratio is kept, fitting both when height is given too */
+  width?: Length;
+  height?: Length;
+  /** PDF paper size: A4, Letter or A3 */
+  paper?: 'A4' | 'Letter' | 'A3' | 'a4' | 'letter' | 'a3';
+  orientation?: 'auto' | 'portrait' | 'landscape';
+  /** PDF paper margin, on all sides or per side */
+  margin?: Length | { top?: Length; right?: Length; bottom?: Length; left?: Length };
+  /** Scale the diagram to fill the paper */
+  fit?: boolean;
+  /** SVG: inline referenced images as data URLs */
+  embedImages?: boolean;
+  /** SVG: inline web fonts as data URLs */
+  embedFonts?: boolean;
+  /** PNG, SVG and PDF: include a copy of the diagram, so the output can be opened in draw.io */
+  embedDiagram?: boolean;
+  /** Only show these layers, by name or id */
+  layers?: string | string[];
+  /** Hide these layers, by name or id */
+  hideLayers?: string | string[];
+  /** Only include cells with one of these draw.io tags, with their containers and contents */
+  tags?: string | string[];
+  /** Leave out cells with any of these tags */
+  hideTags?: string | string[];
+  /** Only export these cells, by id, with their containers and contents */
+  cells?: string | string[];
+  /** With cells: also export the edges between them */
+  connectedEdges?: boolean;
+  /** Crop to this area, in diagram coordinates; the border is added around it */
+  region?: string | [number, number, number, number] | { x: number; y: number; width: number; height: number };
+  /** Outputs rendered in one pass, as a list or a string such as '1x,2x,w200'; not with paper */
+  variants?: string | Variant[];
+  /** Use the output cache (default: the exporter's `cache` option) */
+  cache?: boolean;
+  /** Cancels the export; it then rejects with status 499 */
+  signal?: AbortSignal;
+  onProgress?: (progress: { done: number; total: number }) => void;
+}
+
+export interface ExportRequest extends ExportOptions {
+  /** The draw.io XML; either this or `file` is required */
+  xml?: string;
+  /** A .drawio file, or a PNG, SVG or PDF with an embedded diagram, as a path or its bytes */
+  file?: string | Buffer;
+  /** Default 'png' */
+  format?: Format;
+  pages?: PageSelection;
+  pageIndex?: number | string | Array<number | string>;
+  pageId?: string | string[];
+  pageName?: string | string[];
+}
+
+export interface PageOutput {
+  index: number;
+  id: string | null;
+  name: string | null;
+  format: CoreFormat;
+  data: Buffer;
+}
+
+export interface SplitEntry extends PageOutput {
+  fileName: string;
+  /** With variants, the suffix of the variant's file names */
+  variant?: string;
+}
+
+/** A page rendered with variants, by pages() */
+export interface PageVariants extends Omit<PageOutput, 'data'> {
+  outputs: Array<{ variant: string; data: Buffer }>;
+}
+
+export interface ExporterOptions {
+  /** Browsers launched by open() (default 1) */
+  poolSize?: number;
+  /** Reuse outputs cached for the same XML, format and options (default true) */
+  cache?: boolean;
+}
+
+/** An error of the exporter, with the HTTP status the API would answer. */
+export interface ExportError extends Error {
+  /** 400 invalid diagram or options, 408 timeout, 413 over a limit, 499 cancelled */
+  status?: number;
+  details?: Record<string, unknown>;
+}
+
+export class Exporter {
+  constructor(options?: ExporterOptions);
+  /** Prepares the draw.io assets and launches the browsers. */
+  open(): Promise<this>;
+  close(): Promise<void>;
+  /** The output, or one entry per page and variant for split-* formats and variants. */
+  export(request: ExportRequest & { format: `split-${string}` }): Promise<SplitEntry[]>;
+  export(request: ExportRequest & { variants: string | Variant[] }): Promise<SplitEntry[]>;
+  export(request: ExportRequest): Promise<Buffer>;
+  /** The output as a stream; not for split-* formats or variants. */
+  stream(request: ExportRequest): Readable;
+  /**
+   * Renders the selected pages one at a time in the format's core format,
+   * with one browser that loads the diagram once; pages are not cached.
+   */
+  pages(request: ExportRequest & { variants: string | Variant[] }): AsyncGenerator<PageVariants, void, undefined>;
+  pages(request: ExportRequest): AsyncGenerator<PageOutput, void, undefined>;
+}
+
+export interface PageDescription {
+  index: number;
+  id: string | null;
+  name: string | null;
+  compressed: boolean;
+  bounds: { x: number; y: number; width: number; height: number } | null;
+  pageSize: { width: number; height: number } | null;
+  background: string | null;
+  math: boolean;
+  cells: { total: number; vertices: number; edges: number; layers: number };
+  layers: Array<{ id: string; name: string | null; visible: boolean }>;
+  tags: string[];
+  fonts: string[];
+  images: string[];
+}
+
+export interface DiagramDescription {
+  root: 'mxfile' | 'mxGraphModel';
+  host: string | null;
+  agent: string | null;
+  version: string | null;
+  modified: string | null;
+  pageCount: number;
+  math: boolean;
+  fonts: string[];
+  images: string[];
+  tags: string[];
+  pages: PageDescription[];
+}
+
+/** Describes a diagram without rendering it. */
+export function inspect(xml: string): DiagramDescription;
@@ -0,0 +1,128 @@
+const _ = require('lodash');
+const { Readable } = require('stream');
+const inspect = require('./inspect');
+const { createRenderer, parseFormat } = require('./export-core');
+const { extractDiagram, readDiagramFile } = require('./diagram-file');
+const { badRequest } = require('./errors');
+
+// `pages` picks pages by index spec (2, '0,2-4', [0, 3]) or as
+// { index, id, name }; pageIndex/pageId/pageName are accepted as well
+const selectionOf = ({
+  pages, pageIndex, pageId, pageName,
+}) => {
+  if (pages === undefined || pages === null) {
+    return { pageIndex, pageId, pageName };
+  }
+  if (typeof pages === 'object' && !Array.isArray(pages)) {
+    return { pageIndex: pages.index, pageId: pages.id, pageName: pages.name };
+  }
+  return { pageIndex: pages };
+};
+
+// The XML of a request: given as `xml`, or read from `file`, a path or a
+// Buffer holding a .drawio file or a PNG, SVG or PDF with an embedded diagram
+const readDiagram = async ({ xml, file }) => {
+  if (typeof xml === 'string') {
+    return xml;
+  }
+  if (file === undefined || file === null) {
+    throw badRequest('Either xml or file is required');
+  }
+  return Buffer.isBuffer(file) ? extractDiagram(file) : readDiagramFile(file);
+};
+
+// The export options of a request, with its page selection
+const optionsOf = (request, cache) => ({
+  cache,
+  ..._.omit(request, ['xml', 'file', 'format', 'pages', 'pageIndex', 'pageId', 'pageName']),
+  ...selectionOf(request),
+});
+
+const rendererOf = (exporter) => {
+  if (!exporter.renderer) {
+    throw new Error('The exporter is not open: call open() first');
+  }
+  return exporter.renderer;
+};
+
+// Renders draw.io diagrams in-process, with its own set of browsers:
+//
+//   const exporter = await new Exporter().open();
+//   const pdf = await exporter.export({ file: 'a.drawio', format: 'pdf' });
+//   for await (const page of exporter.pages({ file: 'a.drawio', format: 'png' })) { ... }
+//   await exporter.close();
+//
+// Options are those of the API and CLI (scale, border, quality, background,
+// theme, width, height, paper, orientation, margin, fit, embedImages, embedFonts,
+// embedDiagram, variants, layers, hideLayers, tags, hideTags, cells,
+// connectedEdges, region),
+// plus signal to cancel and onProgress. Errors carry an HTTP-like `status`:
+// 400 for invalid diagrams or options, 408 for timeouts, 413 for limits.
+class Exporter {
+  constructor({ poolSize = 1, cache = true } = {}) {
+    this.poolSize = poolSize;
+    this.cache = cache;
+    this.renderer = null;
+  }
+
+  // Prepares the draw.io assets and launches the browsers
+  async open() {
+    if (!this.renderer) {
+      this.renderer = createRenderer({ poolSize: this.poolSize });
+    }
+    await this.renderer.warmUp();
+    return this;
+  }
+
+  async close() {
+    if (this.renderer) {
+      const { renderer } = this;
+      this.renderer = null;
+      await renderer.shutdown();
+    }
+  }
+
+  async render(request, format) {
+    const renderer = rendererOf(this);
+    parseFormat(format);
+    const xml = await readDiagram(request);
+    return renderer.exportDiagram(xml, format, optionsOf(request, this.cache));
+  }
+
+  // Resolves to the output as a Buffer, or for split-* formats and variants
+  // to an array of { index, id, name, format, variant, fileName, data } entries
+  export(request = {}) {
+    return this.render(request, request.format || 'png');
+  }
+
+  // The output as a readable stream; split-* formats and variants have
+  // several outputs, use pages() or export() for those
+  stream(request = {}) {
+    const format = request.format || 'png';
+    if (format.startsWith('split-')) {
+      throw badRequest(`A ${format} export has one output per page: use pages() instead of stream()`);
+    }
+    if (request.variants) {
+      throw badRequest('An export with variants has several outputs: use export() instead of stream()');
+    }
+    return Readable.from((async function* output(exporter) {
+      yield await exporter.render(request, format);
+    }(this)));
+  }
+
+  // Renders the selected pages one at a time with one browser, which loads
+  // the diagram once, yielding { index, id, name, format, data } as each is
+  // done, or with variants { ..., outputs: [{ variant, data }] } instead of
+  // data. The format's cat- or split- prefix, if any, is ignored, and pages
+  // are not cached. The browser is busy until the loop ends.
+  async* pages(request = {}) {
+    const renderer = rendererOf(this);
+    const xml = await readDiagram(request);
+    yield* renderer.exportPages(xml, request.format || 'png', optionsOf(request, this.cache));
+  }
+}
+
+module.exports = {
+  Exporter,
+  inspect,
+};
@@ -1,8 +1,20 @@
 /* eslint-disable no-console */
 
 const yargs = require('yargs');
+const fs = require('fs');
 const path = require('path');
 const run = require('./export');
+const {
+  checkTargets, expandInputs, isTemplate, outputPath, outputTemplate, runBatch,
+} = require('./batch');
+const watch = require('./watch');
+const { cacheKey, isUpToDate, recordOutputs } = require('./output-cache');
+const { readDiagramFile } = require('./diagram-file');
+const { parseFormat } = require('./export-core');
+const inspect = require('./inspect');
+const {
+  seedAssets, verifyAssets, assetDir, prepareAssets,
+} = require('./assets');
 
 process.on('unhandledRejection', (e) => {
   console.error(e);
@@ -11,29 +23,390 @@ process.on('unhandledRejection', (e) => {
 
 process.on('uncaughtException', (e) => {
   console.error(e);
+  process.exitCode = 1;
 });
 
 const { argv } = yargs
-  .usage('$0 <source.drawio> -o [target]')
+  .usage('$0 <source.drawio|.png|.svg|.pdf> -o [target]')
+  .usage('$0 <files, directories or globs...> -o [template]')
+  .command('assets <action>', 'manage the cached draw.io assets', (y) => y
+    .positional('action', {
+      describe: 'seed: download (or copy --from) and checksum the assets; verify: check them',
+      choices: ['seed', 'verify'],
+    })
+    .option('from', {
+      describe: 'seed: copy the assets from this directory instead of downloading',
+      type: 'string',
+    }))
+  .command('inspect <file>', 'print what a diagram holds as JSON, without rendering it', (y) => y
+    .positional('file', {
+      describe: '.drawio or .xml file, or a PNG, SVG or PDF with an embedded diagram',
+      type: 'string',
+    }))
+  .option('offline', {
+    describe: 'never download; use only cached draw.io assets and block other requests',
+    type: 'boolean',
+  })
+  .option('drawio-version', {
+    describe: 'draw.io release to render with (default: latest, or DRAWIO_VERSION)',
+    type: 'string',
+  })
   .option('F', {
     alias: 'fmt',
     describe: 'output format',
     type: 'string',
   })
+  .option('s', {
+    alias: 'scale',
+    describe: 'zoom factor',
+    type: 'number',
+    default: 1,
+  })
+  .option('b', {
+    alias: 'border',
+    describe: 'border around the diagram, in pixels',
+    type: 'number',
+    default: 0,
+  })
+  .option('quality', {
+    describe: 'jpeg, webp: quality from 1 to 100 (default: 80)',
+    type: 'number',
+  })
+  .option('variants', {
+    describe: 'also write other sizes in one pass, e.g. 1x,2x,w200 (name@2x.png, name@200w.png)',
+    type: 'string',
+  })
+  .option('embed-images', {
+    describe: 'svg: inline referenced images as data URLs',
+    type: 'boolean',
+    default: false,
+  })
+  .option('embed-fonts', {
+    describe: 'svg: inline web fonts as data URLs',
+    type: 'boolean',
+    default: false,
+  })
+  .option('embed-diagram', {
+    describe: 'png, svg, pdf: include a copy of the diagram, so the output can be opened in draw.io or exported again',
+    type: 'boolean',
+    default: false,
+  })
+  .option('background', {
+    alias: 'bg',
+    describe: 'background: hex color, transparent (default) or diagram (the page\'s own)',
+    type: 'string',
+  })
+  .option('theme', {
+    describe: 'light or dark; dark defaults to a dark background',
+    choices: ['light', 'dark'],
+    default: 'light',
+  })
+  .option('width', {
+    describe: 'target width in pixels, keeping the aspect ratio',
+    type: 'number',
+  })
+  .option('height', {
+    describe: 'target height in pixels, keeping the aspect ratio',
+    type: 'number',
+  })
+  .option('paper', {
+    describe: 'pdf: paper size',
+    choices: ['A4', 'Letter', 'A3'],
+  })
+  .option('orientation', {
+    describe: 'pdf: paper orientation',
+    choices: ['auto', 'portrait', 'landscape'],
+    default: 'auto',
+  })
+  .option('margin', {
+    describe: 'pdf: paper margin, e.g. 10mm, 0.5in or 20 (pixels)',
+    type: 'string',
+  })
+  .option('fit', {
+    describe: 'pdf: scale the diagram to fill the paper; --no-fit only shrinks it when too large',
+    type: 'boolean',
+    default: true,
+  })
+  .option('page-index', {
+    describe: 'zero-based page indices to export, e.g. 2, 2-4 or 0,3-5',
+    type: 'string',
+  })
+  .option('page-id', {
+    describe: 'id of a page to export (repeatable)',
+    type: 'string',
+  })
+  .option('page-name', {
+    describe: 'name of a page to export (repeatable)',
+    type: 'string',
+  })
+  .option('layers', {
+    describe: 'only show these layers, by name or id: comma-separated, or repeat the option',
+    type: 'string',
+  })
+  .option('hide-layers', {
+    describe: 'hide these layers, by name or id',
+    type: 'string',
+  })
+  .option('tags', {
+    describe: 'only include cells with one of these draw.io tags',
+    type: 'string',
+  })
+  .option('hide-tags', {
+    describe: 'leave out cells with any of these tags',
+    type: 'string',
+  })
+  .option('cells', {
+    describe: 'only export these cells, by id, with their containers and contents',
+    type: 'string',
+  })
+  .option('connected-edges', {
+    describe: 'with --cells: also export the edges between them',
+    type: 'boolean',
+    default: false,
+  })
+  .option('region', {
+    describe: 'crop to this area in diagram coordinates: x,y,width,height (the border is added around it)',
+    type: 'string',
+  })
   .option('o', {
     alias: 'output',
-    demandOption: true,
-    default: 'a.png',
-    describe: 'output file',
+    describe: 'output file (default: a.png); for a batch, a directory or a template such as {dir}/{name}-{page}.{ext}',
     type: 'string',
+  })
+  .option('j', {
+    alias: 'parallel',
+    describe: 'batch: number of diagrams rendered at once (browsers launched)',
+    type: 'number',
+    default: 2,
+  })
+  .option('cache', {
+    describe: 'skip diagrams whose outputs are up to date; --no-cache always exports',
+    type: 'boolean',
+    default: true,
+  })
+  .option('watch', {
+    alias: 'w',
+    describe: 'keep running and re-export diagrams whenever they are saved',
+    type: 'boolean',
+  })
+  .option('debounce', {
+    describe: 'watch: milliseconds to wait for saves to settle',
+    type: 'number',
+    default: 300,
   });
 
-if (argv._.length !== 1) {
-  throw new Error('Exactly one file at a time');
-}
+const assets = async (action, { from }) => {
+  if (action === 'seed') {
+    const { dir, manifest } = await seedAssets({ from });
+    console.log(`Seeded draw.io ${manifest.version} assets in ${dir}`);
+    Object.keys(manifest.assets).forEach((name) => {
+      console.log(`  ${name}  ${manifest.assets[name].sha256}`);
+    });
+    return;
+  }
+  const results = await verifyAssets();
+  console.log(`draw.io assets in ${assetDir()}`);
+  results.forEach((r) => console.log(`  ${r.status.padEnd(10)} ${r.name}`));
+  if (results.some((r) => r.status === 'missing' || r.status === 'corrupt')) {
+    process.exitCode = 1;
+  }
+};
 
-module.exports = () => run({
-  file: argv._[0],
-  format: argv.fmt || path.extname(argv.output).replace(/^\./, ''),
-  path: argv.output,
+// Format and output path of each input: a single file goes to -o as given
+// (a.png by default), a batch through the output template
+const plan = (single) => {
+  if (single) {
+    const output = argv.output || 'a.png';
+    return {
+      format: argv.fmt || path.extname(output).replace(/^\./, ''),
+      targetOf: () => output,
+    };
+  }
+  const given = argv.output && isTemplate(argv.output) && path.extname(argv.output);
+  const format = argv.fmt || (given && !isTemplate(given) ? given.replace(/^\./, '') : 'png');
+  const { ext } = parseFormat(format);
+  const split = /^split-/.test(format);
+  const template = outputTemplate(argv.output, { split });
+  return {
+    format,
+    targetOf: (file) => outputPath(template, file, { ext, split }),
+  };
+};
+
+// Runs exportIt() unless the outputs of target are up to date with the
+// diagram, format, options and draw.io assets (always with --no-cache)
+const cached = async (file, target, format, options, exportIt) => {
+  if (!argv.cache) {
+    await exportIt();
+    return { skipped: false };
+  }
+  await prepareAssets({ offline: options.offline });
+  const key = await cacheKey(await readDiagramFile(file), format, options);
+  if (await isUpToDate(target, key)) {
+    return { skipped: true };
+  }
+  await recordOutputs(target, key, await exportIt());
+  return { skipped: false };
+};
+
+// Exports the files with the renderer's browsers, printing each outcome
+const exportFiles = (renderer, files, { format, targetOf }, options) => runBatch(files, {
+  targetOf,
+  parallel: argv.parallel,
+  exportOne: (file, target) => cached(file, target, format, options, () => run.exportFile(renderer, {
+    ...options,
+    file,
+    format,
+    path: target,
+  })),
+  onResult: ({
+    file, target, ok, skipped, error,
+  }) => {
+    if (skipped) {
+      console.log(`= ${file} -> ${target} (up to date)`);
+    } else if (ok) {
+      console.log(`✓ ${file} -> ${target}`);
+    } else {
+      console.error(`✗ ${file}: ${error.message}`);
+    }
+  },
 });
+
+// Exports every diagram matched by the inputs with one set of browsers, then
+// prints a summary; the exit code is non-zero when anything failed. When the
+// batch fails as a whole (bad output template, missing assets, ...) every file
+// counts as failed and the error is passed on after the summary.
+const batch = async (inputs, options) => {
+  const { files, missing } = expandInputs(inputs);
+  missing.forEach((input) => console.error(`✗ ${input}: no such file`));
+
+  let results = [];
+  try {
+    const job = plan(false);
+    checkTargets(files, job.targetOf);
+    if (files.length) {
+      await prepareAssets({ offline: options.offline });
+      const renderer = run.createRenderer({ poolSize: argv.parallel });
+      try {
+        results = await exportFiles(renderer, files, job, options);
+      } finally {
+        await renderer.shutdown();
+      }
+    }
+  } catch (e) {
+    results = files.map((file) => ({ file, ok: false, error: e }));
+    throw e;
+  } finally {
+    const exported = results.filter((r) => r.ok && !r.skipped).length;
+    const skipped = results.filter((r) => r.skipped).length;
+    const failed = results.filter((r) => !r.ok).length + missing.length;
+    console.log(`\n${exported} exported, ${skipped} up to date, ${failed} failed`);
+    if (failed) {
+      process.exitCode = 1;
+    }
+  }
+};
+
+// Exports the inputs, then re-exports each diagram file whenever it is saved,
+// until interrupted. The browsers stay open between runs, and are relaunched
+// if they crash.
+const watchInputs = async (inputs, single, options) => {
+  const job = plan(single);
+  const { files, missing } = expandInputs(inputs);
+  checkTargets(files, job.targetOf);
+  await prepareAssets({ offline: options.offline });
+
+  const renderer = run.createRenderer({ poolSize: argv.parallel });
+  missing.forEach((input) => console.error(`✗ ${input}: no such file`));
+  await exportFiles(renderer, files, job, options);
+
+  const watcher = watch(inputs.map(String), {
+    delay: argv.debounce,
+    onChange: (changed) => exportFiles(renderer, changed, job, options),
+  });
+  console.log(`\nWatching ${inputs.join(', ')} for changes, press Ctrl+C to stop`);
+
+  process.once('SIGINT', async () => {
+    await watcher.close();
+    await renderer.shutdown();
+    process.exit();
+  });
+};
+
+module.exports = () => {
+  if (argv.drawioVersion) {
+    process.env.DRAWIO_VERSION = argv.drawioVersion;
+  }
+  if (argv.offline) {
+    // read by the renderer when it prepares the assets and browser pages
+    process.env.DRAWIO_OFFLINE = '1';
+  }
+
+  if (argv._[0] === 'assets') {
+    return assets(argv.action, argv);
+  }
+
+  if (argv._[0] === 'inspect') {
+    return readDiagramFile(argv.file)
+      .then((xml) => console.log(JSON.stringify(inspect(xml), null, 2)));
+  }
+
+  if (!argv._.length) {
+    throw new Error('No input file');
+  }
+
+  const options = {
+    scale: argv.scale,
+    border: argv.border,
+    quality: argv.quality,
+    variants: argv.variants,
+    embedImages: argv.embedImages,
+    embedFonts: argv.embedFonts,
+    embedDiagram: argv.embedDiagram,
+    pageIndex: argv.pageIndex,
+    pageId: argv.pageId,
+    pageName: argv.pageName,
+    layers: argv.layers,
+    hideLayers: argv.hideLayers,
+    tags: argv.tags,
+    hideTags: argv.hideTags,
+    cells: argv.cells,
+    connectedEdges: argv.connectedEdges,
+    region: argv.region,
+    background: argv.background,
+    theme: argv.theme,
+    width: argv.width,
+    height: argv.height,
+    paper: argv.paper,
+    orientation: argv.orientation,
+    margin: argv.margin,
+    fit: argv.fit,
+    offline: argv.offline,
+    cache: argv.cache,
+  };
+
+  const [first] = argv._.map(String);
+  const single = argv._.length === 1 && !isTemplate(argv.output || '')
+    && fs.existsSync(first) && fs.statSync(first).isFile();
+
+  if (argv.watch) {
+    return watchInputs(argv._, single, options);
+  }
+
+  if (single) {
+    const { format, targetOf } = plan(true);
+    const target = targetOf(first);
+    return cached(first, target, format, options, () => run({
+      ...options,
+      file: first,
+      format,
+      path: target,
+    })).then(({ skipped }) => {
+      if (skipped) {
+        console.log(`${target} is up to date`);
+      }
+    });
+  }
+
+  return batch(argv._, options);
+};
@@ -0,0 +1,183 @@
+const _ = require('lodash');
+const { parseDiagram } = require('./diagram-xml');
+
+// 'rounded=1;fontFamily=Roboto;' -> { rounded: '1', fontFamily: 'Roboto' }
+const parseStyle = (style = '') => {
+  const result = {};
+  style.split(';').forEach((part) => {
+    const i = part.indexOf('=');
+    if (i > 0) {
+      result[part.slice(0, i)] = part.slice(i + 1);
+    }
+  });
+  return result;
+};
+
+const isExternal = (url) => /^(https?:)?\/\//i.test(url);
+
+const child = (el, name, as) => el.children.find((c) => c.name === name && (!as || c.attributes.as === as));
+
+// The cells of a model, in the order of its <root>: <mxCell> elements, and
+// <object>/<UserObject> wrappers holding the id, label and tags around their
+// <mxCell>
+const cellsOf = (model) => child(model, 'root').children.map((el) => {
+  const cell = el.name === 'mxCell' ? el : child(el, 'mxCell');
+  const attributes = cell ? cell.attributes : {};
+  return {
+    id: el.attributes.id,
+    parent: attributes.parent,
+    source: attributes.source,
+    target: attributes.target,
+    tags: (el.attributes.tags || '').split(/\s+/).filter(Boolean),
+    value: el.name === 'mxCell' ? attributes.value : el.attributes.label,
+    style: parseStyle(attributes.style),
+    vertex: attributes.vertex === '1',
+    edge: attributes.edge === '1',
+    visible: attributes.visible !== '0',
+    geometry: cell && child(cell, 'mxGeometry'),
+  };
+});
+
+// Fonts and external images named by a cell's style and HTML label
+const resourcesOf = (cell) => {
+  const fonts = [];
+  const images = [];
+  const label = cell.value || '';
+  if (cell.style.fontFamily) {
+    fonts.push(cell.style.fontFamily);
+  } else if (label) {
+    fonts.push('Helvetica'); // draw.io's default
+  }
+  (label.match(/font-family:\s*[^;"]+/gi) || []).forEach((m) => {
+    fonts.push(m.replace(/^font-family:\s*/i, '').split(',')[0].replace(/['"]|&quot;/g, '').trim());
+  });
+  (label.match(/<font[^>]*\sface="[^"]+"/gi) || []).forEach((m) => {
+    fonts.push(m.match(/face="([^"]+)"/i)[1]);
+  });
+  if (cell.style.image && isExternal(cell.style.image)) {
+    images.push(cell.style.image);
+  }
+  (label.match(/<img[^>]*\ssrc="[^"]+"/gi) || []).forEach((m) => {
+    const src = m.match(/src="([^"]+)"/i)[1];
+    if (isExternal(src)) {
+      images.push(src);
+    }
+  });
+  return { fonts, images };
+};
+
+// Approximate bounds of the shapes and edge points, from their geometry;
+// labels and stroke widths are not included
+const boundsOf = (cells) => {
+  const byId = _.keyBy(cells, 'id');
+  // parents are walked at most once, in case of a cycle
+  const offset = (id, seen = new Set()) => {
+    const cell = byId[id];
+    const geo = cell && cell.vertex && cell.geometry;
+    if (!geo || geo.attributes.relative === '1' || seen.has(id)) {
+      return { x: 0, y: 0 };
+    }
+    seen.add(id);
+    const o = offset(cell.parent, seen);
+    return { x: o.x + (+geo.attributes.x || 0), y: o.y + (+geo.attributes.y || 0) };
+  };
+
+  const xs = [];
+  const ys = [];
+  cells.forEach((cell) => {
+    const geo = cell.geometry;
+    if (!geo) {
+      return;
+    }
+    const o = offset(cell.parent);
+    // vertices with relative geometry are labels placed along an edge
+    if (cell.vertex && geo.attributes.relative !== '1') {
+      const x = o.x + (+geo.attributes.x || 0);
+      const y = o.y + (+geo.attributes.y || 0);
+      xs.push(x, x + (+geo.attributes.width || 0));
+      ys.push(y, y + (+geo.attributes.height || 0));
+    } else if (cell.edge) {
+      const array = child(geo, 'Array', 'points');
+      [child(geo, 'mxPoint', 'sourcePoint'), child(geo, 'mxPoint', 'targetPoint'), ...(array ? array.children : [])]
+        .filter(Boolean)
+        .forEach((p) => {
+          xs.push(o.x + (+p.attributes.x || 0));
+          ys.push(o.y + (+p.attributes.y || 0));
+        });
+    }
+  });
+
+  if (!xs.length) {
+    return null;
+  }
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return {
+    x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y,
+  };
+};
+
+const inspectPage = (page) => {
+  const { attributes } = page.model;
+  const cells = cellsOf(page.model);
+  const rootCell = cells.find((c) => c.parent === undefined);
+  const layers = cells.filter((c) => rootCell && c.parent === rootCell.id);
+  const resources = cells.map(resourcesOf);
+  const images = resources.flatMap((r) => r.images);
+  if (attributes.backgroundImage) {
+    try {
+      const { src } = JSON.parse(attributes.backgroundImage);
+      if (isExternal(src)) {
+        images.push(src);
+      }
+    } catch (e) {
+      // not JSON: ignore
+    }
+  }
+
+  return {
+    index: page.index,
+    id: page.id,
+    name: page.name,
+    compressed: page.compressed,
+    bounds: boundsOf(cells),
+    pageSize: attributes.pageWidth && attributes.pageHeight
+      ? { width: +attributes.pageWidth, height: +attributes.pageHeight }
+      : null,
+    background: attributes.background || null,
+    math: attributes.math === '1',
+    cells: {
+      total: cells.length,
+      vertices: cells.filter((c) => c.vertex).length,
+      edges: cells.filter((c) => c.edge).length,
+      layers: layers.length,
+    },
+    layers: layers.map((c) => ({ id: c.id, name: c.value || null, visible: c.visible })),
+    tags: _.uniq(cells.flatMap((c) => c.tags)).sort(),
+    fonts: _.uniq(resources.flatMap((r) => r.fonts)).sort(),
+    images: _.uniq(images),
+  };
+};
+
+// Describes a diagram without rendering it: the draw.io version that saved
+// it and, per page, its bounds, cell counts, fonts and external images.
+// Invalid diagrams throw the same 400 errors as an export.
+module.exports = (xml) => {
+  const { root, attributes, pages } = parseDiagram(xml);
+  const described = pages.map(inspectPage);
+  return {
+    root,
+    host: attributes.host || null,
+    agent: attributes.agent || null,
+    version: attributes.version || null,
+    modified: attributes.modified || null,
+    pageCount: described.length,
+    math: described.some((p) => p.math),
+    fonts: _.uniq(described.flatMap((p) => p.fonts)).sort(),
+    images: _.uniq(described.flatMap((p) => p.images)),
+    tags: _.uniq(described.flatMap((p) => p.tags)).sort(),
+    pages: described,
+  };
+};
+
+module.exports.cellsOf = cellsOf;
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// Runs export jobs in the background, at most `concurrency` at a time, in
+// submission order. `run(params, onProgress)` does the work and resolves to
+// { data, mimeType, fileName }; the job record in `store` tracks its status
+// (queued, running, done, failed) and per-page progress. Finished jobs are
+// removed from the store after `ttl` milliseconds. Jobs a previous process
+// left queued or running cannot resume, as their input was only kept in
+// memory: they are marked failed when the queue starts.
+module.exports = ({
+  store,
+  run,
+  concurrency = +process.env.JOB_CONCURRENCY || 2,
+  ttl = +process.env.JOB_TTL || 60 * 60 * 1000,
+}) => {
+  const pending = [];
+  let running = 0;
+
+  const recovered = store.list()
+    .then((jobs) => Promise.all(jobs
+      .filter((job) => job.status === 'queued' || job.status === 'running')
+      .map((job) => store.update(job.id, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: { status: 503, message: 'The server restarted before the job finished, submit it again' },
+      }))))
+    .catch(() => {});
+
+  const execute = async ({ id, params }) => {
+    // Updates are chained so a late progress report cannot overwrite the final status
+    let last = Promise.resolve();
+    const update = (patch) => {
+      last = last.catch(() => {}).then(() => store.update(id, patch));
+      return last;
+    };
+
+    running++;
+    try {
+      await update({ status: 'running', startedAt: new Date().toISOString() });
+      const onProgress = (progress) => {
+        update({ progress }).catch(() => {});
+      };
+      const { data, mimeType, fileName } = await run(params, onProgress);
+      await store.saveResult(id, data);
+      await update({
+        status: 'done',
+        finishedAt: new Date().toISOString(),
+        result: { mimeType, fileName, size: data.length },
+      });
+    } catch (error) {
+      await update({
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: { status: error.status || 500, message: error.message },
+      }).catch(() => {});
+    } finally {
+      running--;
+      pump();
+    }
+  };
+
+  const pump = () => {
+    while (running < concurrency && pending.length) {
+      execute(pending.shift());
+    }
+  };
+
+  const submit = async (params, info = {}) => {
+    await recovered;
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: { done: 0, total: null },
+      result: null,
+      error: null,
+      ...info,
+    };
+    await store.create(job);
+    pending.push({ id: job.id, params });
+    pump();
+    return job;
+  };
+
+  const purge = async () => {
+    const now = Date.now();
+    const jobs = await store.list();
+    await Promise.all(jobs
+      .filter((job) => job.finishedAt && now - Date.parse(job.finishedAt) > ttl)
+      .map((job) => store.remove(job.id)));
+  };
+
+  const timer = setInterval(() => purge().catch(() => {}), Math.min(ttl, 60 * 1000));
+  timer.unref();
+
+  return {
+    submit,
+    get: (id) => store.get(id),
+    openResult: (id) => store.openResult(id),
+    stats: () => ({ queued: pending.length, running, concurrency }),
+    close: () => clearInterval(timer),
+  };
+};
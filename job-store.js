@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const shelljs = require('shelljs');
+
+// Job stores keep the job records and their output. Both implement:
+//   create(job), get(id), update(id, patch), list(),
+//   saveResult(id, buffer), openResult(id) -> Readable, remove(id)
+// and every method returns a promise, so either can back the job queue. Job
+// records are kept as given, including the keyName of the API key that
+// submitted them, which the API checks before showing a job.
+
+const createMemoryStore = () => {
+  const jobs = new Map();
+  const results = new Map();
+
+  return {
+    create: async (job) => {
+      jobs.set(job.id, { ...job });
+    },
+    get: async (id) => (jobs.has(id) ? { ...jobs.get(id) } : null),
+    update: async (id, patch) => {
+      if (jobs.has(id)) {
+        jobs.set(id, { ...jobs.get(id), ...patch });
+      }
+    },
+    list: async () => [...jobs.values()].map((job) => ({ ...job })),
+    saveResult: async (id, buffer) => {
+      results.set(id, buffer);
+    },
+    openResult: async (id) => (results.has(id) ? Readable.from([results.get(id)]) : null),
+    remove: async (id) => {
+      jobs.delete(id);
+      results.delete(id);
+    },
+  };
+};
+
+// Job ids are UUIDs; anything else, such as ../x decoded from a URL, names no
+// job and never reaches the file system
+const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const createFileStore = (dir) => {
+  shelljs.mkdir('-p', dir);
+  const jobFile = (id) => path.join(dir, `${id}.json`);
+  const resultFile = (id) => path.join(dir, `${id}.result`);
+
+  const read = async (id) => {
+    if (!uuid.test(id)) {
+      return null;
+    }
+    return fs.promises.readFile(jobFile(id), 'utf-8')
+      .then(JSON.parse)
+      .catch((e) => {
+        if (e.code === 'ENOENT') {
+          return null;
+        }
+        throw e;
+      });
+  };
+  // written aside and renamed, so that a reader never sees half a record
+  const write = async (job) => {
+    const temp = `${jobFile(job.id)}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(job));
+    await fs.promises.rename(temp, jobFile(job.id));
+  };
+
+  return {
+    create: write,
+    get: read,
+    update: async (id, patch) => {
+      const job = await read(id);
+      if (job) {
+        await write({ ...job, ...patch });
+      }
+    },
+    list: async () => {
+      const files = await fs.promises.readdir(dir);
+      const jobs = await Promise.all(files
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => read(path.basename(f, '.json'))));
+      return jobs.filter(Boolean);
+    },
+    saveResult: (id, buffer) => fs.promises.writeFile(resultFile(id), buffer),
+    openResult: async (id) => {
+      if (!uuid.test(id)) {
+        return null;
+      }
+      try {
+        await fs.promises.access(resultFile(id));
+      } catch (e) {
+        return null;
+      }
+      return fs.createReadStream(resultFile(id));
+    },
+    remove: async (id) => {
+      if (!uuid.test(id)) {
+        return;
+      }
+      await fs.promises.rm(jobFile(id), { force: true });
+      await fs.promises.rm(resultFile(id), { force: true });
+    },
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+};
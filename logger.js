@@ -0,0 +1,77 @@
+// Log levels, lowest first; LOG_LEVEL picks the lowest one written
+const levels = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+// Fields whose values never reach the logs: API keys and diagram content
+const redacted = /^(x-api-key|apikey|api_key|authorization|cookie|key|xml|diagram|data|dataurl)$/i;
+
+// Errors are logged as their message and status; the stack only for server
+// errors (no status or 5xx), where it helps finding the cause
+const serializeError = (err) => {
+  const status = err.status || err.statusCode;
+  return {
+    name: err.name,
+    message: err.message,
+    ...(status ? { status } : {}),
+    ...(err.details ? { details: err.details } : {}),
+    ...(!status || status >= 500 ? { stack: err.stack } : {}),
+  };
+};
+
+const replacer = (key, value) => {
+  if (key && redacted.test(key) && value !== undefined && value !== null) {
+    return '[REDACTED]';
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  return value;
+};
+
+const serialize = (entry) => {
+  try {
+    return JSON.stringify(entry, replacer);
+  } catch (e) {
+    // e.g. a circular structure: keep the message at least
+    return JSON.stringify({ time: entry.time, level: entry.level, msg: entry.msg, logError: e.message });
+  }
+};
+
+// A logger writing one JSON object per line: time, level, msg, the fields
+// bound with child() and those passed with the message, e.g.
+//   log.child({ requestId }).info('Exported diagram', { format, bytes })
+const createLogger = ({
+  level = process.env.LOG_LEVEL || 'info',
+  stream = process.stdout,
+  fields = {},
+} = {}) => {
+  const threshold = levels[level] || levels.info;
+
+  const write = (name) => (msg, extra = {}) => {
+    if (levels[name] < threshold) {
+      return;
+    }
+    stream.write(`${serialize({
+      time: new Date().toISOString(),
+      level: name,
+      msg,
+      ...fields,
+      ...extra,
+    })}\n`);
+  };
+
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    child: (more) => createLogger({ level, stream, fields: { ...fields, ...more } }),
+  };
+};
+
+module.exports = createLogger;
+module.exports.levels = levels;
@@ -0,0 +1,69 @@
+const client = require('prom-client');
+
+// One registry for the process: the modules doing the work record into it,
+// and the server exposes it on /metrics
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'drawio_export_' });
+
+const requests = new client.Counter({
+  name: 'drawio_export_http_requests_total',
+  help: 'HTTP requests by route, output format and status code',
+  labelNames: ['route', 'format', 'status'],
+  registers: [register],
+});
+
+const stageDuration = new client.Histogram({
+  name: 'drawio_export_render_stage_seconds',
+  help: 'Time spent in each render stage: browser launch, page load, render (layout) and capture',
+  labelNames: ['stage', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const outputBytes = new client.Histogram({
+  name: 'drawio_export_output_bytes',
+  help: 'Size of export outputs by format',
+  labelNames: ['format'],
+  buckets: client.exponentialBuckets(1024, 4, 9),
+  registers: [register],
+});
+
+const cacheLookups = new client.Counter({
+  name: 'drawio_export_cache_lookups_total',
+  help: 'Output cache lookups by result (hit or miss)',
+  labelNames: ['result'],
+  registers: [register],
+});
+
+// Times fn() as the given render stage; the outcome is ok, timeout or error
+const timeStage = async (stage, fn) => {
+  const end = stageDuration.startTimer({ stage });
+  try {
+    const result = await fn();
+    end({ outcome: 'ok' });
+    return result;
+  } catch (e) {
+    end({ outcome: e && e.status === 408 ? 'timeout' : 'error' });
+    throw e;
+  }
+};
+
+// Gauges read at scrape time from a stats() function, e.g. the browser pool's
+const gauge = (name, help, read) => new client.Gauge({
+  name,
+  help,
+  registers: [register],
+  collect() {
+    const value = read();
+    this.set(value === null || value === undefined ? 0 : value);
+  },
+});
+
+module.exports = {
+  cacheLookups,
+  gauge,
+  outputBytes,
+  register,
+  requests,
+  timeStage,
+};
@@ -0,0 +1,154 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const fs = require('fs');
+const glob = require('glob');
+const path = require('path');
+const shelljs = require('shelljs');
+const { assetVersion, cachePath } = require('./assets');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const isEnabled = () => !/^(0|false|no|off)$/i.test(process.env.OUTPUT_CACHE || '');
+
+const cacheDir = () => (process.env.OUTPUT_CACHE_DIR
+  ? path.resolve(process.env.OUTPUT_CACHE_DIR)
+  : path.join(cachePath, 'outputs'));
+
+const maxBytes = () => (+process.env.OUTPUT_CACHE_MAX_MB || 512) * 1024 * 1024;
+
+// Options that do not change the output
+const ignored = ['onProgress', 'signal', 'log', 'offline', 'file', 'path', 'cache'];
+
+// JSON with sorted keys and without undefined values, so that equal options
+// hash equally whatever their order
+const stable = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stable).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stable(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// The identity of an export: a hash of the XML, the format, the options and
+// the draw.io assets. The assets must be prepared first, so that their
+// checksums are known.
+const cacheKey = async (xml, format, options = {}) => sha256(
+  `${stable({ format, options: _.omit(options, ignored), assets: await assetVersion() })}\n${xml}`,
+);
+
+const exists = (file) => fs.promises.access(file).then(() => true, () => false);
+
+const entryPath = (key) => path.join(cacheDir(), key.slice(0, 2), key);
+
+// A result is stored as <key>.bin, or for split-* formats and variants as <key>.json
+// holding the page entries with base64 data
+const get = async (key) => {
+  const file = entryPath(key);
+  let result = null;
+  if (await exists(`${file}.bin`)) {
+    result = await fs.promises.readFile(`${file}.bin`);
+  } else if (await exists(`${file}.json`)) {
+    const pages = JSON.parse(await fs.promises.readFile(`${file}.json`, 'utf-8'));
+    result = pages.map((entry) => ({ ...entry, data: Buffer.from(entry.data, 'base64') }));
+  }
+  if (result) {
+    // the modification time orders entries for pruning
+    const now = new Date();
+    await fs.promises.utimes(`${file}${Buffer.isBuffer(result) ? '.bin' : '.json'}`, now, now).catch(() => {});
+  }
+  return result;
+};
+
+// Whether a result is stored under the key
+const has = async (key) => {
+  if (!isEnabled()) {
+    return false;
+  }
+  const file = entryPath(key);
+  return (await exists(`${file}.bin`)) || exists(`${file}.json`);
+};
+
+// Removes the least recently used entries once the cache outgrows
+// OUTPUT_CACHE_MAX_MB
+let pruning = null;
+const prune = () => {
+  if (!pruning) {
+    pruning = (async () => {
+      const files = glob.sync('??/*.@(bin|json)', { cwd: cacheDir(), absolute: true });
+      const entries = (await Promise.all(files.map((file) => fs.promises.stat(file)
+        .then((st) => ({ file, size: st.size, mtimeMs: st.mtimeMs }), () => null))))
+        .filter(Boolean)
+        .sort((a, b) => a.mtimeMs - b.mtimeMs);
+      let total = entries.reduce((sum, f) => sum + f.size, 0);
+      for (const f of entries) {
+        if (total <= maxBytes())
+          break;
+        await fs.promises.unlink(f.file).catch(() => {});
+        total -= f.size;
+      }
+    })().finally(() => {
+      pruning = null;
+    });
+  }
+  return pruning;
+};
+
+const set = async (key, result) => {
+  const file = entryPath(key);
+  const [target, data] = Buffer.isBuffer(result)
+    ? [`${file}.bin`, result]
+    : [`${file}.json`, JSON.stringify(result.map((entry) => ({ ...entry, data: entry.data.toString('base64') })))];
+  shelljs.mkdir('-p', path.dirname(file));
+  // write then rename, so a concurrent reader never sees a partial entry
+  await fs.promises.writeFile(`${target}.${process.pid}.part`, data);
+  await fs.promises.rename(`${target}.${process.pid}.part`, target);
+  prune().catch(() => {});
+};
+
+// The CLI writes outputs itself, so instead of results it records, per
+// output path, the key last exported and the files written; a diagram is up
+// to date when the key matches and the files are untouched since.
+const stampPath = (target) => path.join(cacheDir(), 'stamps', `${sha256(path.resolve(target))}.json`);
+
+const fileStat = async (file) => {
+  const st = await fs.promises.stat(file);
+  return { file: path.resolve(file), size: st.size, mtimeMs: st.mtimeMs };
+};
+
+const isUpToDate = async (target, key) => {
+  let stamp;
+  try {
+    stamp = JSON.parse(await fs.promises.readFile(stampPath(target), 'utf-8'));
+  } catch (e) {
+    return false;
+  }
+  if (stamp.key !== key || !stamp.files.length) {
+    return false;
+  }
+  const current = await Promise.all(stamp.files.map((f) => fileStat(f.file).catch(() => null)));
+  return current.every((st, i) => st
+    && st.size === stamp.files[i].size
+    && st.mtimeMs === stamp.files[i].mtimeMs);
+};
+
+const recordOutputs = async (target, key, files) => {
+  const stamp = { key, files: await Promise.all(files.map(fileStat)) };
+  shelljs.mkdir('-p', path.dirname(stampPath(target)));
+  await fs.promises.writeFile(stampPath(target), JSON.stringify(stamp));
+};
+
+module.exports = {
+  cacheDir,
+  cacheKey,
+  get,
+  has,
+  isEnabled,
+  isUpToDate,
+  recordOutputs,
+  set,
+};
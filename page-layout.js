@@ -0,0 +1,136 @@
+const { badRequest } = require('./errors');
+
+// CSS pixels per unit, at the 96 dpi Chromium prints with
+const units = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+};
+
+// Portrait sizes in CSS pixels
+const papers = {
+  a3: { width: 297 * units.mm, height: 420 * units.mm },
+  a4: { width: 210 * units.mm, height: 297 * units.mm },
+  letter: { width: 8.5 * units.in, height: 11 * units.in },
+};
+
+// 10, '10', '10px', '0.5in', '1cm', '12mm' -> CSS pixels
+const toPx = (value, what) => {
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)(px|in|cm|mm)?$/);
+  if (!m) {
+    throw badRequest(`Invalid ${what}: ${value}, use a number of pixels or a length in px, in, cm or mm`);
+  }
+  return +m[1] * units[m[2] || 'px'];
+};
+
+const optionalPx = (value, what) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const px = toPx(value, what);
+  if (px <= 0) {
+    throw badRequest(`Invalid ${what}: ${value}, must be positive`);
+  }
+  return px;
+};
+
+// Validates the sizing options: a target width and/or height in pixels, or,
+// for PDF, a paper size with orientation, margins and fit-to-page
+const parseLayout = ({
+  width,
+  height,
+  paper,
+  orientation = 'auto',
+  margin = 0,
+  fit = true,
+} = {}, core) => {
+  const layout = {
+    width: optionalPx(width, 'width'),
+    height: optionalPx(height, 'height'),
+    paper: null,
+    orientation,
+    margin: null,
+    fit: fit !== false && fit !== 'false',
+  };
+
+  if (!['auto', 'portrait', 'landscape'].includes(orientation)) {
+    throw badRequest(`Invalid orientation: ${orientation}, valid options are: auto, portrait, landscape`);
+  }
+
+  if (paper) {
+    layout.paper = papers[String(paper).toLowerCase()];
+    if (!layout.paper) {
+      throw badRequest(`Invalid paper size: ${paper}, valid options are: A4, Letter, A3`);
+    }
+    if (core !== 'pdf') {
+      throw badRequest('Paper sizes only apply to pdf formats');
+    }
+    if (layout.width || layout.height) {
+      throw badRequest('Use either a paper size or width/height, not both');
+    }
+    const m = margin && typeof margin === 'object' ? margin : {
+      top: margin, right: margin, bottom: margin, left: margin,
+    };
+    layout.margin = {};
+    ['top', 'right', 'bottom', 'left'].forEach((side) => {
+      layout.margin[side] = toPx(m[side] || 0, `${side} margin`);
+    });
+  }
+
+  return layout;
+};
+
+// Zoom that brings a w x h diagram to the target width/height, keeping its
+// aspect ratio; 1 when no target is set
+const targetZoom = (layout, w, h) => {
+  const zooms = [];
+  if (layout.width) {
+    zooms.push(layout.width / w);
+  }
+  if (layout.height) {
+    zooms.push(layout.height / h);
+  }
+  return zooms.length ? Math.min(...zooms) : 1;
+};
+
+// Sheet size, margins and zoom for printing a w x h diagram on paper. The
+// diagram is scaled to fill the printable area, or with fit disabled only
+// shrunk when it does not fit, and centered in it: the margins returned
+// include the space left around it, and the area is what the diagram fills.
+const paperSheet = (layout, w, h) => {
+  const { paper, margin, orientation } = layout;
+  const landscape = orientation === 'landscape' || (orientation === 'auto' && w > h);
+  const width = landscape ? paper.height : paper.width;
+  const height = landscape ? paper.width : paper.height;
+  const areaWidth = width - margin.left - margin.right;
+  const areaHeight = height - margin.top - margin.bottom;
+  if (areaWidth <= 0 || areaHeight <= 0) {
+    throw badRequest('Margins leave no printable area on the page');
+  }
+  let zoom = Math.min(areaWidth / w, areaHeight / h);
+  if (!layout.fit) {
+    zoom = Math.min(zoom, 1);
+  }
+  const dx = (areaWidth - w * zoom) / 2;
+  const dy = (areaHeight - h * zoom) / 2;
+  return {
+    width,
+    height,
+    areaWidth: w * zoom,
+    areaHeight: h * zoom,
+    margin: {
+      top: margin.top + dy,
+      right: margin.right + dx,
+      bottom: margin.bottom + dy,
+      left: margin.left + dx,
+    },
+    zoom,
+  };
+};
+
+module.exports = {
+  parseLayout,
+  targetZoom,
+  paperSheet,
+};
@@ -0,0 +1,62 @@
+const { badRequest } = require('./errors');
+
+const toList = (v) => (v === undefined || v === null || v === '' ? [] : [].concat(v));
+
+const outOfRange = (i, pageCount) => badRequest(`Page index ${i} out of range, the diagram has ${pageCount} page(s)`);
+
+// Parses a zero-based page index spec: 3, '3', '2-4', '0,2,5-7' or an array
+// of those. Indices from `pageCount` on are rejected before a range is
+// expanded, so a huge range costs nothing; each index is listed once.
+const parseIndices = (spec, pageCount = Infinity) => {
+  const result = new Set();
+  toList(spec).forEach((item) => {
+    String(item).split(',').forEach((part) => {
+      const m = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+      if (!m) {
+        throw badRequest(`Invalid page index: ${part.trim()}`);
+      }
+      const from = +m[1];
+      const to = m[2] === undefined ? from : +m[2];
+      if (to < from) {
+        throw badRequest(`Invalid page range: ${part.trim()}`);
+      }
+      if (to >= pageCount) {
+        throw outOfRange(to, pageCount);
+      }
+      for (let i = from; i <= to; i++) {
+        result.add(i);
+      }
+    });
+  });
+  return [...result];
+};
+
+// Returns the indices, in document order, of the pages picked by pageIndex,
+// pageId and pageName. Criteria are combined as a union; with none given,
+// every page is selected.
+module.exports = (pages, { pageIndex, pageId, pageName } = {}) => {
+  const indices = parseIndices(pageIndex, pages.length);
+  const ids = toList(pageId).map(String);
+  const names = toList(pageName).map(String);
+
+  if (!indices.length && !ids.length && !names.length) {
+    return pages.map((p, i) => i);
+  }
+
+  ids.forEach((id) => {
+    if (!pages.some((p) => p.id === id)) {
+      throw badRequest(`No page with id "${id}"`);
+    }
+  });
+  names.forEach((name) => {
+    if (!pages.some((p) => p.name === name)) {
+      throw badRequest(`No page named "${name}"`);
+    }
+  });
+
+  return pages
+    .map((p, i) => i)
+    .filter((i) => indices.includes(i) || ids.includes(pages[i].id) || names.includes(pages[i].name));
+};
+
+module.exports.parseIndices = parseIndices;
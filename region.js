@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { parseDiagram, replaceModels } = require('./diagram-xml');
+const { badRequest, httpError } = require('./errors');
+
+const markerId = 'drawio-export-region';
+
+const number = (value, what, positive) => {
+  const n = typeof value === 'string' && value.trim() === '' ? NaN : +value;
+  if (!Number.isFinite(n) || (positive && !(n > 0))) {
+    throw badRequest(`Invalid region ${what}: ${value}, must be ${positive ? 'a positive number' : 'a number'}`);
+  }
+  return n;
+};
+
+// 'x,y,width,height', [x, y, width, height] or { x, y, width, height }, in
+// diagram coordinates -> { x, y, width, height }; null when none is given
+const parseRegion = (region) => {
+  if (region === undefined || region === null || region === '') {
+    return null;
+  }
+  let values = region;
+  if (!Array.isArray(region) && typeof region === 'object') {
+    values = [region.x, region.y, region.width, region.height];
+  } else if (!Array.isArray(region)) {
+    values = String(region).split(',');
+  }
+  if (values.length !== 4) {
+    throw badRequest(`Invalid region: ${region}, use x,y,width,height in diagram coordinates`);
+  }
+  return {
+    x: number(values[0], 'x'),
+    y: number(values[1], 'y'),
+    width: number(values[2], 'width', true),
+    height: number(values[3], 'height', true),
+  };
+};
+
+const cell = (attributes, children = []) => ({
+  name: 'mxCell', attributes, children, text: '',
+});
+
+// Six hex digits found nowhere in the XML, for the marker's fill color and
+// cell id, so that no cell of the diagram is taken for it
+const uniqueHex = (xml) => {
+  const lower = xml.toLowerCase();
+  for (;;) {
+    const hex = crypto.randomBytes(3).toString('hex');
+    if (!lower.includes(hex)) {
+      return hex;
+    }
+  }
+};
+
+// Adds a marker of the region on its own top layer of every page, so that
+// cropToRegion can find where draw.io drew it. Returns the XML, uncompressed,
+// and the marker: its cell id and a fill color used by nothing else.
+const markRegion = (fullXml, { x, y, width, height }) => {
+  const models = parseDiagram(fullXml).pages.map((page) => page.model);
+  const hex = uniqueHex(replaceModels(fullXml, models));
+  const id = `${markerId}-${hex}`;
+  const color = `#${hex}`;
+  models.forEach((model) => {
+    const root = model.children.find((c) => c.name === 'root');
+    const rootCell = root.children.find((c) => c.attributes.id !== undefined && c.attributes.parent === undefined);
+    const rootId = rootCell ? rootCell.attributes.id : `${id}-root`;
+    if (!rootCell) {
+      root.children.unshift(cell({ id: rootId }));
+    }
+    root.children.push(
+      cell({ id: `${id}-layer`, parent: rootId }),
+      cell({
+        id,
+        style: `fillColor=${color};strokeColor=none;opacity=100;shadow=0;glass=0;sketch=0;rounded=0;`,
+        vertex: '1',
+        parent: `${id}-layer`,
+      }, [{
+        name: 'mxGeometry',
+        attributes: {
+          x: String(x), y: String(y), width: String(width), height: String(height), as: 'geometry',
+        },
+        children: [],
+        text: '',
+      }]),
+    );
+  });
+  return { xml: replaceModels(fullXml, models), marker: { id, color } };
+};
+
+// Crops the page rendered by draw.io to the marker of markRegion, with
+// `border` pixels around it: the marker is removed, the drawing clipped to
+// the region and moved to the top left, and the page sized to fit. Returns
+// the size of the crop, or throws a 422 when the marker cannot be found.
+const cropToRegion = async (page, marker, border) => {
+  const crop = await page.evaluate(({ id, color, clipId, b }) => {
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.querySelector('svg');
+    if (!svg) {
+      return null;
+    }
+    // by cell id where draw.io writes it, else by its color, which themes may
+    // wrap (e.g. light-dark(...)) but keep
+    const cell = svg.querySelector(`[data-cell-id="${id}"]`);
+    const marker = (cell && (cell.querySelector('[fill]') || cell))
+      || Array.from(svg.querySelectorAll('[fill]'))
+        .find((el) => el.getAttribute('fill').toLowerCase().includes(color));
+    if (!marker) {
+      return null;
+    }
+    // the marker's box in the coordinates of the svg
+    const box = marker.getBBox();
+    const m = svg.getScreenCTM().inverse().multiply(marker.getScreenCTM());
+    const x = box.x * m.a + m.e;
+    const y = box.y * m.d + m.f;
+    const width = box.width * m.a;
+    const height = box.height * m.d;
+    (cell || marker).remove();
+
+    let defs = svg.querySelector('defs');
+    if (!defs) {
+      defs = document.createElementNS(ns, 'defs');
+      svg.insertBefore(defs, svg.firstChild);
+    }
+    const clip = document.createElementNS(ns, 'clipPath');
+    clip.setAttribute('id', clipId);
+    const rect = document.createElementNS(ns, 'rect');
+    rect.setAttribute('x', x);
+    rect.setAttribute('y', y);
+    rect.setAttribute('width', width);
+    rect.setAttribute('height', height);
+    clip.appendChild(rect);
+    defs.appendChild(clip);
+
+    const g = document.createElementNS(ns, 'g');
+    g.setAttribute('transform', `translate(${b - x} ${b - y})`);
+    const inner = document.createElementNS(ns, 'g');
+    inner.setAttribute('clip-path', `url(#${clipId})`);
+    Array.from(svg.childNodes).filter((n) => n !== defs).forEach((n) => inner.appendChild(n));
+    g.appendChild(inner);
+    svg.appendChild(g);
+
+    const w = Math.ceil(width + 2 * b);
+    const h = Math.ceil(height + 2 * b);
+    svg.setAttribute('width', `${w}px`);
+    svg.setAttribute('height', `${h}px`);
+    for (let el = svg; el && el !== document.documentElement; el = el.parentElement) {
+      el.style.minWidth = '';
+      el.style.minHeight = '';
+      el.style.width = `${w}px`;
+      el.style.height = `${h}px`;
+      el.style.overflow = 'hidden';
+    }
+    return { w, h };
+  }, { ...marker, clipId: `${markerId}-clip`, b: border });
+  if (!crop) {
+    throw httpError(422, 'The region could not be located in the rendered diagram');
+  }
+  return crop;
+};
+
+module.exports = {
+  cropToRegion,
+  markRegion,
+  parseRegion,
+};
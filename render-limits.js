@@ -0,0 +1,70 @@
+const { httpError } = require('./errors');
+const { timeStage } = require('./metrics');
+
+const env = (name, fallback) => +process.env[name] || fallback;
+
+// Timeouts in milliseconds for each stage of a render, and caps on what one
+// export may produce
+const limits = () => ({
+  load: env('LOAD_TIMEOUT', 30000),
+  render: env('RENDER_TIMEOUT', 30000),
+  capture: env('CAPTURE_TIMEOUT', 60000),
+  maxPages: env('MAX_PAGES', 100),
+  maxPixels: env('MAX_PIXELS', 100000000),
+});
+
+// A browser whose stage timed out or was abandoned may still be busy, so
+// errors thrown mid-stage ask for it to be discarded
+const timeoutError = (stage, ms) => Object.assign(
+  httpError(408, `Export timed out: the ${stage} stage took longer than ${ms} ms`),
+  { stage, discardBrowser: true },
+);
+
+const cancelledError = (discardBrowser) => Object.assign(
+  httpError(499, 'Export cancelled: the client disconnected'),
+  { discardBrowser },
+);
+
+// Runs one stage of a render: 'load', 'render' or 'capture'. Fails with a
+// 408 once the stage's timeout has passed, or as soon as `signal` aborts.
+// Its duration is recorded in the render stage histogram.
+const stage = (name, signal, fn) => {
+  if (signal && signal.aborted) {
+    return Promise.reject(cancelledError(false));
+  }
+  const ms = limits()[name];
+  return timeStage(name, () => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(timeoutError(name, ms)), ms);
+    const onAbort = () => reject(cancelledError(true));
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    });
+  }));
+};
+
+const checkPages = (count) => {
+  const { maxPages } = limits();
+  if (count > maxPages) {
+    throw httpError(413, `The export has ${count} pages, at most ${maxPages} are allowed`);
+  }
+};
+
+const checkPixels = (width, height) => {
+  const { maxPixels } = limits();
+  if (width * height > maxPixels) {
+    throw httpError(413, `The output would be ${Math.ceil(width)} x ${Math.ceil(height)} pixels, more than the ${maxPixels} allowed`);
+  }
+};
+
+module.exports = {
+  checkPages,
+  checkPixels,
+  limits,
+  stage,
+};
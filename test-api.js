@@ -3,16 +3,26 @@
  * Test Suite for Draw.io Export REST API
  * 
  * Usage:
- *   node test-api.js
+ *   API_KEY=<the server's key> node test-api.js
  * 
- * This script tests all API endpoints and validates responses
+ * This script tests all API endpoints and validates responses. The limits
+ * (timeouts, size caps, key scopes and rate limits) are tested on a second
+ * server it starts on LIMITS_PORT (default 3001) with small limits.
  */
 
 const http = require('http');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
 
 const API_URL = 'http://localhost:3000';
-const API_KEY = '11223344zzz';
+const API_KEY = process.env.API_KEY;
+
+if (!API_KEY) {
+  console.error('Set API_KEY to the key the server under test was started with');
+  process.exit(1);
+}
 
 // Sample XML for testing
 const SAMPLE_XML = `<?xml version="1.0" encoding="UTF-8"?>
@@ -60,6 +70,7 @@ function test(name, fn) {
     });
 }
 
+// `path` may also be a full URL, for the server started by startServer()
 function request(method, path, headers = {}, body = null) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, API_URL);
@@ -94,7 +105,7 @@ function request(method, path, headers = {}, body = null) {
     req.on('error', reject);
 
     if (body) {
-      req.write(typeof body === 'string' ? body : JSON.stringify(body));
+      req.write(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
     }
 
     req.end();
@@ -114,6 +125,29 @@ async function runTests() {
     if (!data.status || data.status !== 'ok') throw new Error('Invalid health response');
   });
 
+  // Test 1b: Liveness, readiness and metrics
+  await test('GET /health/live, /health/ready and /metrics', async () => {
+    const live = await request('GET', '/health/live');
+    if (live.status !== 200) throw new Error(`Expected 200, got ${live.status}`);
+    const ready = await request('GET', '/health/ready');
+    if (![200, 503].includes(ready.status)) throw new Error(`Expected 200 or 503, got ${ready.status}`);
+    if (!Array.isArray(JSON.parse(ready.body).problems)) throw new Error('Readiness should list its problems');
+    const metrics = await request('GET', '/metrics');
+    if (metrics.status !== 200) throw new Error(`Expected 200, got ${metrics.status}`);
+    if (!metrics.body.includes('drawio_export_http_requests_total')) throw new Error('Missing request counter');
+  });
+
+  // Test 1c: Request ids are echoed, and generated when missing or unusable
+  await test('X-Request-Id is echoed in headers and error bodies', async () => {
+    const res = await request('POST', '/api/export', { 'X-Request-Id': 'test-req-1' }, { xml: SAMPLE_XML });
+    if (res.headers['x-request-id'] !== 'test-req-1') throw new Error('Request id not echoed');
+    if (JSON.parse(res.body).requestId !== 'test-req-1') throw new Error('Request id missing from error body');
+    const generated = await request('GET', '/health', { 'X-Request-Id': 'not a token' });
+    if (!generated.headers['x-request-id'] || generated.headers['x-request-id'] === 'not a token') {
+      throw new Error('Expected a generated request id');
+    }
+  });
+
   // Test 2: API Docs
   await test('GET /api/docs (no auth required)', async () => {
     const res = await request('GET', '/api/docs');
@@ -178,6 +212,14 @@ async function runTests() {
     if (data.format !== 'pdf') throw new Error('Invalid format in response');
   });
 
+  // Test 9b: Export SVG (binary)
+  await test('POST /api/export with valid SVG request', async () => {
+    const res = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'svg' });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    if (!res.headers['content-type'].includes('image/svg+xml')) throw new Error('Invalid content type');
+    if (!res.body.includes('<svg')) throw new Error('Response is not an SVG document');
+  });
+
   // Test 10: Scale parameter
   await test('POST /api/export/base64 with scale parameter', async () => {
     const res = await request('POST', '/api/export/base64', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', scale: 2 });
@@ -194,13 +236,165 @@ async function runTests() {
     if (!data.data) throw new Error('Export failed');
   });
 
-  // Test 12: API key via query parameter
+  // Test 11b: Lossy formats with quality
+  await test('POST /api/export/base64 with JPEG and WebP formats', async () => {
+    const jpeg = await request('POST', '/api/export/base64', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'jpeg', quality: 60 });
+    if (jpeg.status !== 200) throw new Error(`Expected 200, got ${jpeg.status}`);
+    if (JSON.parse(jpeg.body).mimeType !== 'image/jpeg') throw new Error('Invalid mimeType');
+    const webp = await request('POST', '/api/export/base64', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'webp' });
+    if (webp.status !== 200) throw new Error(`Expected 200, got ${webp.status}`);
+    if (JSON.parse(webp.body).mimeType !== 'image/webp') throw new Error('Invalid mimeType');
+    const invalid = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'jpeg', quality: 101 });
+    if (invalid.status !== 400) throw new Error(`Expected 400 for quality 101, got ${invalid.status}`);
+  });
+
+  // Test 12: Split format (base64)
+  await test('POST /api/export/base64 with split-name-png format', async () => {
+    const res = await request('POST', '/api/export/base64', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'split-name-png' });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    const data = JSON.parse(res.body);
+    if (!Array.isArray(data.pages) || data.pages.length !== 1) throw new Error('Expected one page entry');
+    if (data.pages[0].fileName !== 'Test.png') throw new Error(`Unexpected file name ${data.pages[0].fileName}`);
+    if (data.pages[0].mimeType !== 'image/png') throw new Error('Invalid page mimeType');
+  });
+
+  // Test 12b: Variants
+  await test('POST /api/export/base64 with variants', async () => {
+    const res = await request('POST', '/api/export/base64', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', variants: '1x,2x,w100' });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    const names = JSON.parse(res.body).pages.map((p) => p.fileName).join(',');
+    if (names !== 'diagram.png,diagram@2x.png,diagram@100w.png') throw new Error(`Unexpected file names ${names}`);
+    const zip = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', variants: ['1x', '2x'] });
+    if (!zip.headers['content-type'].includes('application/zip')) throw new Error('Invalid content type');
+    const invalid = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', variants: '2x,2' });
+    if (invalid.status !== 400) throw new Error(`Expected 400 for duplicate variants, got ${invalid.status}`);
+  });
+
+  // Test 12b2: A maximum width larger than the diagram does not enlarge it
+  await test('POST /api/export/base64 with a variant wider than the diagram', async () => {
+    const res = await request('POST', '/api/export/base64', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', variants: '1x,w5000' });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    const [base, wide] = JSON.parse(res.body).pages.map((p) => Buffer.from(p.data, 'base64').readUInt32BE(16));
+    if (wide !== base) throw new Error(`Expected the w5000 variant to stay ${base}px wide, got ${wide}px`);
+  });
+
+  // Test 12c: Layer filtering
+  await test('POST /api/export with layers (unknown layer should fail)', async () => {
+    const res = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', layers: '1' });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    const invalid = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', hideLayers: 'Missing' });
+    if (invalid.status !== 400) throw new Error(`Expected 400, got ${invalid.status}`);
+    const data = JSON.parse(invalid.body);
+    if (data.problem !== 'unknown-layer' || !data.layers.includes('1')) throw new Error('Error does not list the layers');
+  });
+
+  // Test 12d: Cropping
+  await test('POST /api/export with cells and region', async () => {
+    const res = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', region: [150, 150, 200, 100], border: 10 });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    const invalid = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', region: '0,0,-1,10' });
+    if (invalid.status !== 400) throw new Error(`Expected 400 for a negative width, got ${invalid.status}`);
+    const unknown = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', cells: '2,missing' });
+    if (unknown.status !== 400) throw new Error(`Expected 400, got ${unknown.status}`);
+    if (JSON.parse(unknown.body).problem !== 'unknown-cell') throw new Error('Expected problem unknown-cell');
+  });
+
+  // Test 13: Split format (ZIP)
+  await test('POST /api/export with split-png format returns a ZIP', async () => {
+    const res = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'split-png' });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    if (!res.headers['content-type'].includes('application/zip')) throw new Error('Invalid content type');
+  });
+
+  // Test 13a: Compressed page that cannot be inflated
+  await test('POST /api/export with a corrupt compressed page (should fail)', async () => {
+    const xml = '<mxfile><diagram id="p1" name="Broken">not-deflate-data</diagram></mxfile>';
+    const res = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml, format: 'png' });
+    if (res.status !== 400) throw new Error(`Expected 400, got ${res.status}`);
+    const data = JSON.parse(res.body);
+    if (data.problem !== 'compressed-content' || data.page.id !== 'p1') throw new Error('Error does not name the page and problem');
+  });
+
+  // Test 13b: Unknown page name
+  await test('POST /api/export with unknown pageName (should fail)', async () => {
+    const res = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', pageName: 'Missing' });
+    if (res.status !== 400) throw new Error(`Expected 400, got ${res.status}`);
+  });
+
+  // Test 13b2: Page range past the last page, rejected before it is expanded
+  await test('POST /api/export with a huge pageIndex range (should fail)', async () => {
+    const res = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'split-png', pageIndex: '0-200000000' });
+    if (res.status !== 400) throw new Error(`Expected 400, got ${res.status}`);
+  });
+
+  // Test 13c: Export job
+  await test('POST /api/jobs then poll GET /api/jobs/:id until done', async () => {
+    let res = await request('POST', '/api/jobs', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png' });
+    if (res.status !== 202) throw new Error(`Expected 202, got ${res.status}`);
+    const { id } = JSON.parse(res.body);
+    let job;
+    for (let i = 0; i < 60; i++) {
+      res = await request('GET', `/api/jobs/${id}`, { 'X-API-Key': API_KEY });
+      job = JSON.parse(res.body);
+      if (job.status === 'done' || job.status === 'failed') break;
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+    if (job.status !== 'done') throw new Error(`Job ended as ${job.status}`);
+    res = await request('GET', `/api/jobs/${id}/result`, { 'X-API-Key': API_KEY });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    if (!res.headers['content-type'].includes('image/png')) throw new Error('Invalid content type');
+  });
+
+  // Test 13d: Conditional request
+  await test('POST /api/export with a matching If-None-Match returns 412', async () => {
+    let res = await request('POST', '/api/export', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png' });
+    const etag = res.headers.etag;
+    if (!etag) throw new Error('Missing ETag header');
+    res = await request('POST', '/api/export', { 'X-API-Key': API_KEY, 'If-None-Match': etag }, { xml: SAMPLE_XML, format: 'png' });
+    if (res.status !== 412) throw new Error(`Expected 412, got ${res.status}`);
+    if (res.headers.etag === etag) throw new Error('ETag of the export sent with the 412');
+    res = await request('POST', '/api/export', { 'X-API-Key': API_KEY, 'If-None-Match': etag }, { xml: SAMPLE_XML, format: 'bogus' });
+    if (res.status !== 400) throw new Error(`Expected 400 for an invalid format, got ${res.status}`);
+    if (res.headers.etag === etag) throw new Error('ETag of the export sent with the 400');
+    // a diagram never exported before, so * does not match
+    const fresh = SAMPLE_XML.replace('Test Diagram', `Test Diagram ${Date.now()}`);
+    res = await request('POST', '/api/export', { 'X-API-Key': API_KEY, 'If-None-Match': '*' }, { xml: fresh, format: 'png' });
+    if (res.status !== 200) throw new Error(`Expected 200 for * before any export, got ${res.status}`);
+  });
+
+  // Test 13e: Inspect
+  await test('POST /api/inspect describes the diagram', async () => {
+    const res = await request('POST', '/api/inspect', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    const data = JSON.parse(res.body);
+    if (data.pageCount !== 1 || data.pages[0].name !== 'Test') throw new Error('Unexpected pages');
+    if (data.pages[0].cells.vertices !== 1) throw new Error('Unexpected cell counts');
+  });
+
+  // Test 13f: Raw diagram upload
+  await test('POST /api/export with a raw application/xml body', async () => {
+    const res = await request('POST', '/api/export?format=svg', { 'X-API-Key': API_KEY, 'Content-Type': 'application/xml' }, SAMPLE_XML);
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    if (!res.headers['content-type'].includes('image/svg+xml')) throw new Error('Invalid content type');
+  });
+
+  // Test 13g: Embedded diagram, uploaded again
+  await test('POST /api/export/base64 with embedDiagram, then the PNG as input', async () => {
+    const res = await request('POST', '/api/export/base64', { 'X-API-Key': API_KEY }, { xml: SAMPLE_XML, format: 'png', embedDiagram: true });
+    if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+    const png = Buffer.from(JSON.parse(res.body).data, 'base64');
+    const inspected = await request('POST', '/api/inspect', { 'X-API-Key': API_KEY, 'Content-Type': 'image/png' }, png);
+    if (inspected.status !== 200) throw new Error(`Expected 200 for the PNG, got ${inspected.status}`);
+    if (JSON.parse(inspected.body).pageCount !== 1) throw new Error('Embedded diagram not found');
+  });
+
+  // Test 14: API key via query parameter
   await test('POST /api/export using query parameter for API key', async () => {
     const res = await request('POST', `/api/export?apiKey=${API_KEY}`, {}, { xml: SAMPLE_XML, format: 'png' });
     if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
   });
 
-  // Test 13: 404 handler
+  // Test 15: 404 handler
   await test('GET /nonexistent (should return 404)', async () => {
     const res = await request('GET', '/nonexistent', { 'X-API-Key': API_KEY });
     if (res.status !== 404) throw new Error(`Expected 404, got ${res.status}`);
@@ -208,6 +402,8 @@ async function runTests() {
     if (!data.error) throw new Error('Error response missing error field');
   });
 
+  await runLimitTests();
+
   // Summary
   console.log('\n╔════════════════════════════════════════╗');
   console.log(`║  Tests Passed: ${passed}/${passed + failed}${' '.repeat(Math.max(0, 22 - (`${passed}/${passed + failed}`).length))}║`);
@@ -222,6 +418,147 @@ async function runTests() {
   }
 }
 
+// Starts another API server with `env` on `port`, resolving to the child
+// process once it is ready
+async function startServer(port, env) {
+  const child = spawn(process.execPath, [path.join(__dirname, 'api.js')], {
+    env: { ...process.env, PORT: String(port), LOG_LEVEL: 'error', ...env },
+    stdio: 'ignore'
+  });
+  const deadline = Date.now() + 120000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`Server exited with code ${child.exitCode}`);
+    const res = await request('GET', `http://localhost:${port}/health/ready`).catch(() => null);
+    if (res && res.status === 200) return child;
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+  child.kill();
+  throw new Error('Server did not get ready in time');
+}
+
+// Timeouts, caps and per-key limits, on a server started with small ones
+async function runLimitTests() {
+  const port = +process.env.LIMITS_PORT || 3001;
+  const url = (p) => `http://localhost:${port}${p}`;
+  const keysFile = path.join(os.tmpdir(), `drawio-export-test-keys-${process.pid}.json`);
+  fs.writeFileSync(keysFile, JSON.stringify({
+    keys: [
+      { name: 'team-a', key: 'team-a-key', formats: ['png', 'split-png'], maxDiagramSize: SAMPLE_XML.length + 100 },
+      { name: 'team-b', key: 'team-b-key' },
+      { name: 'throttled', key: 'throttled-key', requestsPerMinute: 1 }
+    ]
+  }));
+
+  // a job the previous run of a server left running, for it to mark failed
+  const jobDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drawio-export-test-jobs-'));
+  const interruptedId = '00000000-0000-4000-8000-000000000000';
+  fs.writeFileSync(path.join(jobDir, `${interruptedId}.json`), JSON.stringify({
+    id: interruptedId, status: 'running', createdAt: new Date().toISOString(), keyName: 'team-a'
+  }));
+
+  let server;
+  try {
+    // SAMPLE_XML renders at about 500 x 150 pixels: within MAX_PIXELS as it
+    // is, over it at a width of 2000. Captures never finish in 1 ms.
+    server = await startServer(port, {
+      API_KEYS_FILE: keysFile,
+      API_KEY: '',
+      POOL_SIZE: '1',
+      OUTPUT_CACHE: 'off',
+      MAX_PAGES: '1',
+      MAX_PIXELS: '100000',
+      CAPTURE_TIMEOUT: '1',
+      JOB_STORE: 'file',
+      JOB_STORE_DIR: jobDir
+    });
+  } catch (error) {
+    await test('Start a server with small limits', () => Promise.reject(error));
+    fs.rmSync(keysFile, { force: true });
+    fs.rmSync(jobDir, { recursive: true, force: true });
+    return;
+  }
+
+  const asTeamA = { 'X-API-Key': 'team-a-key' };
+
+  try {
+    await test('Limits: a capture over CAPTURE_TIMEOUT returns 408', async () => {
+      const res = await request('POST', url('/api/export'), asTeamA, { xml: SAMPLE_XML, format: 'png' });
+      if (res.status !== 408) throw new Error(`Expected 408, got ${res.status}`);
+      if (JSON.parse(res.body).message.indexOf('capture') === -1) throw new Error('Message does not name the stage');
+    });
+
+    await test('Limits: an output over MAX_PIXELS returns 413', async () => {
+      const res = await request('POST', url('/api/export'), asTeamA, { xml: SAMPLE_XML, format: 'png', width: 2000 });
+      if (res.status !== 413) throw new Error(`Expected 413, got ${res.status}`);
+    });
+
+    await test('Limits: more pages than MAX_PAGES returns 413', async () => {
+      const twoPages = SAMPLE_XML.replace(/(<diagram[\s\S]*<\/diagram>)/, '$1$1').replace('id="test" name="Test"', 'id="test2" name="Test 2"');
+      const res = await request('POST', url('/api/export'), { 'X-API-Key': 'team-b-key' }, { xml: twoPages, format: 'split-png' });
+      if (res.status !== 413) throw new Error(`Expected 413, got ${res.status}`);
+    });
+
+    await test('Limits: a diagram over the key\'s maxDiagramSize returns 413', async () => {
+      const large = SAMPLE_XML.replace('<root>', `<!-- ${'x'.repeat(200)} --><root>`);
+      let res = await request('POST', url('/api/export'), asTeamA, { xml: large, format: 'png' });
+      if (res.status !== 413) throw new Error(`Expected 413, got ${res.status}`);
+      res = await request('POST', url('/api/inspect'), asTeamA, { xml: large });
+      if (res.status !== 413) throw new Error(`Expected 413 from inspect, got ${res.status}`);
+    });
+
+    await test('Limits: a format the key may not use returns 403', async () => {
+      const res = await request('POST', url('/api/export'), asTeamA, { xml: SAMPLE_XML, format: 'pdf' });
+      if (res.status !== 403) throw new Error(`Expected 403, got ${res.status}`);
+    });
+
+    await test('Limits: no key returns 401, an unknown key 403', async () => {
+      let res = await request('POST', url('/api/export'), {}, { xml: SAMPLE_XML, format: 'png' });
+      if (res.status !== 401) throw new Error(`Expected 401, got ${res.status}`);
+      res = await request('POST', url('/api/export'), { 'X-API-Key': 'team-c-key' }, { xml: SAMPLE_XML, format: 'png' });
+      if (res.status !== 403) throw new Error(`Expected 403, got ${res.status}`);
+    });
+
+    await test('Limits: requests over requestsPerMinute return 429 with Retry-After', async () => {
+      const asThrottled = { 'X-API-Key': 'throttled-key' };
+      await request('POST', url('/api/inspect'), asThrottled, { xml: SAMPLE_XML });
+      const res = await request('POST', url('/api/inspect'), asThrottled, { xml: SAMPLE_XML });
+      if (res.status !== 429) throw new Error(`Expected 429, got ${res.status}`);
+      const retryAfter = +res.headers['retry-after'];
+      if (!(retryAfter > 0 && retryAfter <= 60)) throw new Error(`Invalid Retry-After ${res.headers['retry-after']}`);
+    });
+
+    await test('Limits: a job is not found with another team\'s key', async () => {
+      const submitted = await request('POST', url('/api/jobs'), asTeamA, { xml: SAMPLE_XML, format: 'png' });
+      if (submitted.status !== 202) throw new Error(`Expected 202, got ${submitted.status}`);
+      const { id } = JSON.parse(submitted.body);
+      const own = await request('GET', url(`/api/jobs/${id}`), asTeamA);
+      if (own.status !== 200) throw new Error(`Expected 200 for the submitting key, got ${own.status}`);
+      for (const p of [`/api/jobs/${id}`, `/api/jobs/${id}/result`]) {
+        const res = await request('GET', url(p), { 'X-API-Key': 'team-b-key' });
+        if (res.status !== 404) throw new Error(`Expected 404 for ${p}, got ${res.status}`);
+      }
+    });
+
+    await test('Jobs: a job left running by a restart is failed', async () => {
+      const res = await request('GET', url(`/api/jobs/${interruptedId}`), asTeamA);
+      if (res.status !== 200) throw new Error(`Expected 200, got ${res.status}`);
+      const job = JSON.parse(res.body);
+      if (job.status !== 'failed' || job.error.status !== 503) throw new Error(`Unexpected job ${res.body}`);
+    });
+
+    await test('Jobs: an id that is not a UUID is not found', async () => {
+      fs.writeFileSync(path.join(os.tmpdir(), 'drawio-export-test-outside.json'), fs.readFileSync(path.join(jobDir, `${interruptedId}.json`)));
+      const res = await request('GET', url('/api/jobs/..%2Fdrawio-export-test-outside'), asTeamA);
+      fs.rmSync(path.join(os.tmpdir(), 'drawio-export-test-outside.json'), { force: true });
+      if (res.status !== 404) throw new Error(`Expected 404, got ${res.status}`);
+    });
+  } finally {
+    server.kill();
+    fs.rmSync(keysFile, { force: true });
+    fs.rmSync(jobDir, { recursive: true, force: true });
+  }
+}
+
 // Run tests
 runTests().catch((error) => {
   log(`Fatal error: ${error.message}`, 'error');
@@ -0,0 +1,91 @@
+const { badRequest } = require('./errors');
+
+const maxVariants = 10;
+
+const positive = (value, what) => {
+  const n = +value;
+  if (!(n > 0) || !Number.isFinite(n)) {
+    throw badRequest(`Invalid variant ${what}: ${value}, must be a positive number`);
+  }
+  return n;
+};
+
+// File name suffix of a variant: '' for 1x, '@2x', '@200w', '@120h' or
+// '@200x120' for a box
+const suffixOf = ({ scale, width, height }) => {
+  if (scale !== undefined) {
+    return scale === 1 ? '' : `@${scale}x`;
+  }
+  if (width && height) {
+    return `@${width}x${height}`;
+  }
+  return width ? `@${width}w` : `@${height}h`;
+};
+
+// '2x' or 2 -> { scale: 2 }; 'w200' or '200w' -> { width: 200 };
+// 'h120' or '120h' -> { height: 120 }; '200x120' -> { width: 200, height: 120 }
+const parseItem = (item) => {
+  if (item && typeof item === 'object') {
+    const { suffix } = item;
+    let variant;
+    if (item.scale !== undefined) {
+      if (item.width !== undefined || item.height !== undefined) {
+        throw badRequest('A variant has either a scale or a width/height, not both');
+      }
+      variant = { scale: positive(item.scale, 'scale') };
+    } else if (item.width !== undefined || item.height !== undefined) {
+      variant = {
+        width: item.width !== undefined ? positive(item.width, 'width') : undefined,
+        height: item.height !== undefined ? positive(item.height, 'height') : undefined,
+      };
+    } else {
+      throw badRequest('A variant needs a scale, a width or a height');
+    }
+    return { ...variant, suffix: suffix !== undefined ? String(suffix) : suffixOf(variant) };
+  }
+
+  const spec = String(item).trim();
+  let m = spec.match(/^(\d+(?:\.\d+)?)x?$/);
+  if (m) {
+    return parseItem({ scale: m[1] });
+  }
+  m = spec.match(/^(?:w(\d+)|(\d+)w)$/);
+  if (m) {
+    return parseItem({ width: m[1] || m[2] });
+  }
+  m = spec.match(/^(?:h(\d+)|(\d+)h)$/);
+  if (m) {
+    return parseItem({ height: m[1] || m[2] });
+  }
+  m = spec.match(/^(\d+)x(\d+)$/);
+  if (m) {
+    return parseItem({ width: m[1], height: m[2] });
+  }
+  throw badRequest(`Invalid variant: ${spec}, use e.g. 2x (scale), w200 (width), h120 (height) or 200x120 (box)`);
+};
+
+// Parses the output variants of one render: a list of scales and maximum
+// sizes, as an array of specs or objects, or a comma-separated string such
+// as '1x,2x,3x,w200'. Returns null when none are asked for; each variant
+// has a scale, or a width and/or height, and the suffix of its file name.
+module.exports = (spec) => {
+  if (spec === undefined || spec === null || spec === '') {
+    return null;
+  }
+  const items = Array.isArray(spec) ? spec : String(spec).split(',');
+  if (!items.length) {
+    return null;
+  }
+  if (items.length > maxVariants) {
+    throw badRequest(`Too many variants: ${items.length}, at most ${maxVariants} are allowed`);
+  }
+  const variants = items.map(parseItem);
+  const seen = new Set();
+  variants.forEach(({ suffix }) => {
+    if (seen.has(suffix)) {
+      throw badRequest(`Two variants would both be named "${suffix || '(no suffix)'}"`);
+    }
+    seen.add(suffix);
+  });
+  return variants;
+};
@@ -0,0 +1,89 @@
+/* eslint-disable no-console */
+
+const fs = require('fs');
+const glob = require('glob');
+const path = require('path');
+const { expandInputs } = require('./batch');
+
+// The directory to watch for an input, and whether to watch below it: a
+// directory recursively, a file through its directory (editors often save by
+// replacing the file), a glob pattern from the part before its first wildcard
+const watchRoot = (input) => {
+  if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+    return { dir: input, recursive: true };
+  }
+  if (!glob.hasMagic(input)) {
+    return { dir: path.dirname(input), recursive: false };
+  }
+  const parts = input.split(/[\\/]/);
+  const fixed = parts.slice(0, parts.findIndex((part) => glob.hasMagic(part)));
+  return { dir: fixed.join(path.sep) || '.', recursive: true };
+};
+
+// A directory and every directory below it, but node_modules and hidden ones
+const subdirectories = (dir) => [dir, ...glob.sync('**/', { cwd: dir, ignore: '**/node_modules/**' })
+  .map((sub) => path.join(dir, sub, '.'))];
+
+// Watches the inputs and calls onChange(files) with the diagram files that
+// changed, once they have been quiet for `delay` ms. Calls never overlap:
+// changes made during a run are collected for the next one.
+module.exports = (inputs, { delay = 300, onChange }) => {
+  const pending = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  const flush = () => {
+    timer = null;
+    const { files } = expandInputs(inputs);
+    const changed = files.filter((f) => pending.has(f));
+    pending.clear();
+    if (changed.length) {
+      running = running.then(() => onChange(changed)).catch((e) => console.error(e));
+    }
+  };
+
+  // fs.watch is only recursive on Linux from Node 20, so each directory is
+  // watched on its own, and directories created later are added as they
+  // appear
+  const watchers = new Map();
+  const watchDir = (dir, recursive) => {
+    const existing = watchers.get(dir);
+    if (existing && (existing.recursive || !recursive)) {
+      return;
+    }
+    if (existing) {
+      existing.close();
+    }
+    const watcher = fs.watch(dir, (event, name) => {
+      if (!name) {
+        return;
+      }
+      const file = path.normalize(path.join(dir, name.toString()));
+      if (recursive && event === 'rename' && fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        subdirectories(file).forEach((sub) => watchDir(sub, true));
+      }
+      pending.add(file);
+      clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    });
+    // e.g. the directory was removed
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(dir);
+    });
+    watchers.set(dir, Object.assign(watcher, { recursive }));
+  };
+
+  inputs.map(String).forEach((input) => {
+    const { dir, recursive } = watchRoot(input);
+    (recursive ? subdirectories(dir) : [dir]).forEach((sub) => watchDir(sub, recursive));
+  });
+
+  return {
+    close: () => {
+      clearTimeout(timer);
+      watchers.forEach((w) => w.close());
+      return running;
+    },
+  };
+};